@@ -54,14 +54,14 @@ const Action = (() => {
    */
   async function performAction(action, caller, instance, items, callback, document_, document__) {
     console.log("performAction() - action=" + action + ", caller=" + caller);
-    items = items ? items : await Promisify.storageGet();
+    items = items ? items : await Infy.getItems();
     document_ = document_ ? document_ : Scroll.getDocument();
     const pages = Scroll.getPages();
     let actionPerformed = false;
     // Pre-Perform Action
     // Handle Down (Non-Auto)
     if (!instance.autoEnabled && action === "down") {
-      action = instance.isLoading || instance.currentPage + 1 <= pages.length ? "down" : instance.scrollAction;
+      action = instance.isLoading || pages.some(page => page.number > instance.currentPage && !page.removed) ? "down" : instance.scrollAction;
       // TODO: Write a better check for this isLoading situation, integrating it with the normal appending we do when scrolling. We need to guard against excessive user actions (shortcuts and button clicks). Normal appends via scrolling should handle isLoading properly
       // IMPORTANT: The following is necessary if the user tries to perform the down command too many times very fast (e.g. holding down the shortcut key or pressing Down Button too rapidly)
       // If the action is no longer a "down" (i.e. it is now the scrollAction as changed above), we are now performing the action itself and we should set the instance's isLoading to true. This will avoid performing multiple increments if the user tries to press the Down Shortcut multiple times quickly when on the last page
@@ -159,11 +159,12 @@ const Action = (() => {
    */
   function down(instance, pages) {
     console.log("down() - instance.currentPage=" + instance.currentPage);
-    instance.currentPage = instance.currentPage + 1 < pages.length ? instance.currentPage + 1 : pages.length;
-    Scroll.setInstance(instance);
-    const page = pages[instance.currentPage - 1];
-    if (page && page.point && typeof page.point.scrollIntoView === "function") {
-      page.point.scrollIntoView({behavior: instance.scrollBehavior, block: "start", inline: "start"});
+    // Skip the pages that were removed in the Page Navigator, as there's nothing to scroll to
+    const page = pages.find(page => page.number > instance.currentPage && !page.removed);
+    if (page) {
+      instance.currentPage = page.number;
+      Scroll.setInstance(instance);
+      Scroll.scrollToPage(instance.currentPage);
     }
   }
 
@@ -177,11 +178,12 @@ const Action = (() => {
    */
   function up(instance, pages) {
     console.log("up() - instance.currentPage=" + instance.currentPage);
-    instance.currentPage = instance.currentPage - 1 >= 1 ? instance.currentPage - 1 : 1;
-    Scroll.setInstance(instance);
-    const page = pages[instance.currentPage - 1];
-    if (page && page.point && typeof page.point.scrollIntoView === "function") {
-      page.point.scrollIntoView({behavior: instance.scrollBehavior, block: "start", inline: "start"});
+    // Skip the pages that were removed in the Page Navigator, as there's nothing to scroll to
+    const page = pages.slice().reverse().find(page => page.number < instance.currentPage && !page.removed);
+    if (page) {
+      instance.currentPage = page.number;
+      Scroll.setInstance(instance);
+      Scroll.scrollToPage(instance.currentPage);
     }
   }
 
@@ -231,6 +233,7 @@ const Action = (() => {
       updateTab(caller, instance);
     } else {
       console.log("nextPrev() - " + (result && result.url ? ("duplicate result url found:" + result.url) : " no result found"));
+      Scroll.triggerCustomEvent("infy-scroll-end-of-pages", document, {"page": Scroll.getPages().length, "url": instance.url, "action": action});
       if (instance.autoEnabled) {
         Auto.stopAutoTimer(instance, "action");
       }
@@ -343,12 +346,20 @@ const Action = (() => {
       }
       // Don't click the button if the caller is popup and just checking
       if (instance.buttonMethod === "click" && caller !== "popup") {
+        // In Append Keep mode, we need to store the elements before the button is clicked in case the website replaces them
+        if (instance.scrollAppend === "keep") {
+          Scroll.keepElements();
+        }
         element.click();
       }
       actionPerformed = true;
     } catch(e) {
       console.log("button() - error:" + e);
       details.error = e.message;
+      // If the button is gone (e.g. the website removes the "Load More" button on the last page), there are no more pages
+      if (caller !== "popup") {
+        Scroll.triggerCustomEvent("infy-scroll-end-of-pages", document, {"page": Scroll.getPages().length, "url": instance.url, "action": "button"});
+      }
       // TODO: Should Auto stop at this point?
       // if (instance.autoEnabled) {
       //   Auto.stopAutoTimer(instance, "action");
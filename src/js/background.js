@@ -31,14 +31,14 @@ const Background = (() => {
    * Instead, prefix keys that should be grouped together with a label e.g. "auto"
    *
    * @returns {*} the storage default values object
-   * @private
+   * @public
    */
   function getStorageDefaultValues() {
     console.log("getStorageDefaultValues()");
     return {
       "installVersion": chrome.runtime.getManifest().version, "installDate": new Date().toJSON(), "browserName": getBrowserName(), "firstRun": true, "on": true,
       "toolbarIcon": getPreferredColor(), "buttonSize": 50, "interfaceImage": "infinity", "interfaceTheme": false, "interfaceMessages": true, "dynamicSettings": true,
-      "customScriptsEnabled": true, "resizeMediaEnabled": true, "linksNewTabEnabled": false, "customEventsEnabled": false, "decodeURIEnabled": false, "debugEnabled": false,
+      "customScriptsEnabled": true, "customScripts": [], "resizeMediaEnabled": true, "linksNewTabEnabled": false, "customEventsEnabled": false, "decodeURIEnabled": false, "debugEnabled": false,
       "interval": 1, "leadingZerosPadByDetection": true, "shuffleLimit": 100, "shuffleStart": false,
       "base": 10, "baseCase": "lowercase", "baseDateFormat": "yyyy/mm/dd", "baseRoman": "latin", "baseCustom": "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
       "selectionPriority": "smart", "selectionCustom": { "url": "", "regex": "", "flags": "", "group": 0, "index": 0 },
@@ -51,10 +51,12 @@ const Background = (() => {
       "autoTimes": 10, "autoSeconds": 2, "autoBadge": "times", "autoSlideshow": false, "autoBehavior": "smooth", "autoStart": false,
       "scrollAction": "next", "scrollAppend": "page", "scrollElementRule": "body > *", "scrollElementInsertRule": "", "scrollElementType": "selector", "scrollElementIframe": false, "scrollMediaType": "image",
       "scrollDetection": "sl", "scrollDetectionThrottle": 200, "scrollBehavior": "auto", "scrollUpdateAddress": true, "scrollUpdateTitle": true,
-      "scrollAppendThresholdPages": 0, "scrollAppendThresholdPixels": 500, "scrollAppendDelay": 2000, "scrollAppendScripts": false, "scrollAppendStyles": false, "scrollAppendCustomStyles": false, "scrollAppendCustomStylesValue": "",
-      "scrollLazyLoad": true, "scrollLazyLoadMode": "auto", "scrollLazyLoadAttributeSource": "data-src", "scrollLazyLoadAttributeDestination": "src",
+      "scrollAppendThresholdPages": 0, "scrollAppendThresholdPixels": 500, "scrollAppendDelay": 2000, "scrollDOMPages": 0, "scrollPrefetch": 0, "scrollRetries": 2, "scrollRetryDelay": 1000, "scrollAppendScripts": false, "scrollAppendScriptsAllow": "", "scrollAppendScriptsDeny": "", "scrollAppendStyles": false, "scrollAppendCustomStyles": false, "scrollAppendCustomStylesValue": "",
+      "scrollLazyLoad": true, "scrollLazyLoadMode": "auto", "scrollLazyLoadAttributeSource": "data-src", "scrollLazyLoadAttributeDestination": "src", "scrollLazyLoadAttributes": [],
       "scrollDivider": "element", "scrollDividerAlign": "center", "scrollOverlay": false, "scrollIcon": true, "scrollLoading": true, "scrollWrapFirstPage": false, "scrollHeightWait": 0,
-      "saves": [], "whitelist": [], "whitelistEnabled": false, "database": [], "databaseDate": null, "databaseAutoActivate": true, "databaseAutoUpdate": 1, "databaseBlacklist": [], "databaseWhitelist": []
+      "saves": [], "whitelist": [], "whitelistEnabled": false, "databaseDate": null, "databaseAutoActivate": true, "databaseAutoUpdate": 1, "databaseBlacklist": [], "databaseWhitelist": [],
+      "databaseSources": [{ "id": "autopagerize", "name": "AutoPagerize", "type": "remote", "url": chrome.i18n.getMessage("database_url"), "backupURL": chrome.i18n.getMessage("database_url_backup"), "enabled": true, "priority": 1, "date": null, "count": 0, "error": "", "records": [] }],
+      "microformatEnabled": true, "microformatAutoActivate": true, "microformatBlacklist": []
     };
   }
 
@@ -86,6 +88,7 @@ const Background = (() => {
       "skip": {"text": "SKIP", "backgroundColor": "#000000"},
       "on": {"text": "ON", "backgroundColor": "#615492"},
       "off": {"text": "OFF", "backgroundColor": "#B00020"},
+      "error": {"text": "ERR", "backgroundColor": "#E6003E"},
       "default": {"text": "", "backgroundColor": [0, 0, 0, 0]}
     };
   }
@@ -167,45 +170,38 @@ const Background = (() => {
   }
 
   /**
-   * Downloads the database.
+   * Downloads the database by downloading each enabled remote database source and then merging all of the sources.
    *
    * Note: This function is in the Background because both the Options and Content Script need the ability to download
    * the database. If it weren't in the Background, we would need to duplicate this function in both places.
    *
-   * @param options the download options (for example, if this should fallback to use a backup database url)
+   * @param options the download options (for example, if this should fallback to use a source's backup url, or the id of the only source to download)
    * @returns {Promise<{error: *, downloaded: boolean}>}
-   * @private
+   * @public
    */
   async function downloadDatabase(options) {
     console.log("downloadDatabase - options=" + JSON.stringify(options));
     const result = { downloaded: false, error: undefined };
-    let url = "";
     try {
       // Save the Database Date first (separately) to avoid potential issues, such as this function being called on every request in case of error with the fetch request
       await Promisify.storageSet({"databaseDate": new Date().toJSON()});
-      url = chrome.i18n.getMessage("database_url" + (options && options.useBackup && options.previousException ? "_backup" : ""));
-      console.log("downloadDatabase() - downloading database from: " + url);
-      const response = await fetch(url);
-      let database = await response.json();
-      // Filter the database to only records who contain the required properties
-      database = database.filter(d => d.data && d.data.url && d.data.nextLink && d.data.pageElement);
-      // Map the database records (r) to just the 3 or 4 required components in each record's data: url, nextLink, pageElement, insertBefore (optional)
-      database = database.map(d => { const r = { "url": d.data.url, "nextLink": d.data.nextLink, "pageElement": d.data.pageElement }; for (const o of ["insertBefore"]) { if (d.data[o]) { r[o] = d.data[o]; } } return r; });
-      // Sort the database with the longest URLs first to find the most exact URL match first
-      database.sort((a, b) => (a.url.length < b.url.length) ? 1 : -1);
+      const sources = await getDatabaseSources();
+      for (const source of sources) {
+        if (source.type === "remote" && source.enabled && (!options || !options.sourceId || options.sourceId === source.id)) {
+          await downloadDatabaseSource(source, options && options.useBackup);
+          result.error = result.error || source.error || undefined;
+        }
+      }
+      await saveDatabaseSources(sources);
+      const database = mergeDatabase(sources);
       if (database.length > 0) {
-        await Promisify.storageSet({"database": database});
         result.downloaded = true;
       } else {
         throw "Database length is 0";
       }
     } catch (e) {
-      console.log("downloadDatabase() - error downloading database from: " + url + " - error=" + e);
+      console.log("downloadDatabase() - error downloading database, error=" + e);
       result.error = e;
-      if (options && options.useBackup && !options.previousException) {
-        options.previousException = true;
-        return await downloadDatabase(options);
-      }
     }
     console.log("downloadDatabase() - result.downloaded=" + result.downloaded + ", result.error=" + result.error);
     if (options && options.sendMessage) {
@@ -214,6 +210,165 @@ const Background = (() => {
     return result;
   }
 
+  /**
+   * Gets the database sources. Before there were sources, the whole database was stored in the "database" storage item.
+   * If the default source has never been downloaded but that item still has records (e.g. the extension was updated
+   * after the database had been downloaded), the default source's records are seeded from it. Otherwise, saving the
+   * sources (e.g. after adding a source) would wipe the database.
+   *
+   * @returns {Promise<[]>} the database sources
+   * @public
+   */
+  async function getDatabaseSources() {
+    const items = await Promisify.storageGet(["databaseSources", "database", "databaseDate"]);
+    const sources = items.databaseSources || getStorageDefaultValues().databaseSources;
+    const source = sources.find(s => s.id === "autopagerize");
+    if (source && !source.date && (!source.records || source.records.length === 0) && Array.isArray(items.database) && items.database.length > 0) {
+      console.log("getDatabaseSources() - seeding the default source's records from the database, database.length=" + items.database.length);
+      source.records = items.database;
+      source.count = items.database.length;
+      source.date = items.databaseDate || new Date().toJSON();
+    }
+    return sources;
+  }
+
+  /**
+   * Downloads a remote database source, storing its records, record count, date, and error (if any) in the source.
+   *
+   * @param source    the database source to download
+   * @param useBackup if true, falls back to using the source's backup url if the url couldn't be downloaded
+   * @private
+   */
+  async function downloadDatabaseSource(source, useBackup) {
+    const urls = [source.url].concat(useBackup && source.backupURL ? [source.backupURL] : []);
+    for (const url of urls) {
+      try {
+        console.log("downloadDatabaseSource() - downloading database source from: " + url);
+        const response = await fetch(url);
+        const records = normalizeDatabase(await response.json());
+        if (records.length === 0) {
+          throw "Database length is 0";
+        }
+        source.records = records;
+        source.count = records.length;
+        source.date = new Date().toJSON();
+        source.error = "";
+        return;
+      } catch (e) {
+        console.log("downloadDatabaseSource() - error downloading database source from: " + url + " - error=" + e);
+        source.error = url + " " + e;
+      }
+    }
+  }
+
+  /**
+   * Normalizes a database's records. Both the wedata format (where each record's properties are inside a data object)
+   * and the plain format (where they aren't) are accepted. Records are mapped to just the 3 to 5 required components:
+   * url, nextLink, pageElement, insertBefore (optional), scripts (optional, only if valid). Records without the required
+   * properties are filtered out.
+   *
+   * @param json the database in JSON format (an array of records)
+   * @returns {[]} the normalized records
+   * @private
+   */
+  function normalizeDatabase(json) {
+    return (Array.isArray(json) ? json : [])
+      .map(d => d && d.data ? d.data : d)
+      .filter(d => d && typeof d.url === "string" && d.url && d.nextLink && d.pageElement)
+      .map(d => {
+        const r = { "url": d.url, "nextLink": d.nextLink, "pageElement": d.pageElement };
+        for (const o of ["insertBefore"]) { if (d[o]) { r[o] = d[o]; } }
+        // A record's custom scripts rules are only kept if they're valid (e.g. they don't set event handler attributes)
+        if (d.scripts && !Scripts.validate(d.scripts)) { r.scripts = d.scripts; }
+        return r;
+      });
+  }
+
+  /**
+   * Saves the database sources, each with its records. The merged database isn't stored, as that would store every
+   * record twice; Database merges the sources in memory when it builds its index. The old "database" storage item is
+   * removed, as the sources have replaced it (its records were seeded into the default source).
+   *
+   * Note: Each source's records are stored in full, and the user can add any number of sources, which can exceed the
+   * local storage quota (5 MB), so the manifest requests the unlimitedStorage permission.
+   *
+   * @param sources the database sources
+   * @private
+   */
+  async function saveDatabaseSources(sources) {
+    console.log("saveDatabaseSources() - sources.length=" + sources.length);
+    await Promisify.storageSet({"databaseSources": sources});
+    await Promisify.storageRemove("database");
+  }
+
+  /**
+   * Merges the enabled database sources into the database. Sources are merged in priority order (1 first), and a
+   * record is only added if a higher priority source doesn't already have a record with the same url. Inside each
+   * source, the records are sorted with the longest URLs first to find the most exact URL match first.
+   *
+   * @param sources the database sources
+   * @returns {[]} the merged database
+   * @public
+   */
+  function mergeDatabase(sources) {
+    const urls = new Set();
+    const database = [];
+    for (const source of sources.filter(s => s.enabled).sort((a, b) => a.priority - b.priority)) {
+      const records = (source.records || []).slice().sort((a, b) => (a.url.length < b.url.length) ? 1 : -1);
+      for (const record of records) {
+        if (!urls.has(record.url)) {
+          urls.add(record.url);
+          database.push(record);
+        }
+      }
+    }
+    console.log("mergeDatabase() - sources.length=" + sources.length + ", database.length=" + database.length);
+    return database;
+  }
+
+  /**
+   * Adds, updates, or removes a database source and then saves the database sources. Local sources (a file or pasted JSON)
+   * send their records as JSON text, which is normalized here.
+   *
+   * @param source the database source (without its records) containing the id and the properties to update
+   * @param remove if true, removes the source instead
+   * @returns {Promise<{error: *}>} the result, with an error if the local source's JSON couldn't be parsed
+   * @private
+   */
+  async function setDatabaseSource(source, remove) {
+    console.log("setDatabaseSource() - source.id=" + source.id + ", remove=" + remove);
+    const result = { error: undefined };
+    const sources = await getDatabaseSources();
+    let existing = sources.find(s => s.id === source.id);
+    if (remove) {
+      sources.splice(sources.indexOf(existing), existing ? 1 : 0);
+    } else {
+      if (!existing) {
+        existing = { "id": source.id, "name": "", "type": source.type, "url": "", "enabled": true, "priority": sources.length + 1, "date": null, "count": 0, "error": "", "records": [] };
+        sources.push(existing);
+      }
+      for (const key of ["name", "url", "enabled", "priority"]) {
+        if (source.hasOwnProperty(key)) {
+          existing[key] = source[key];
+        }
+      }
+      if (source.json) {
+        try {
+          existing.records = normalizeDatabase(JSON.parse(source.json));
+          existing.count = existing.records.length;
+          existing.date = new Date().toJSON();
+          existing.error = "";
+        } catch (e) {
+          console.log("setDatabaseSource() - error parsing json, error=" + e);
+          result.error = e.message;
+          return result;
+        }
+      }
+    }
+    await saveDatabaseSources(sources);
+    return result;
+  }
+
   /**
    * Listen for installation changes and do storage/extension initialization work.
    *
@@ -230,7 +385,7 @@ const Background = (() => {
       downloadDatabase({"useBackup": true, "sendMessage": true});
       chrome.runtime.openOptionsPage();
     } else if (details.reason === "update") {
-      Storage.update(details.previousVersion);
+      await Storage.update(details.previousVersion);
     }
     startupListener();
   }
@@ -294,6 +449,15 @@ const Background = (() => {
       case "downloadDatabase":
         response = await downloadDatabase(request.options);
         break;
+      case "setDatabaseSource":
+        response = await setDatabaseSource(request.source, request.remove);
+        break;
+      case "matchDatabase":
+        response = await Database.match(request.url);
+        break;
+      case "restore":
+        response = await Storage.restore(request.previousVersion, request.method, request.items);
+        break;
       case "turnOff":
         const tabs = await Promisify.tabsQuery({});
         if (tabs) {
@@ -319,7 +483,7 @@ const Background = (() => {
    */
   async function commandListener(command) {
     console.log("commandListener() - command=" + command);
-    if (command === "down" || command === "up" || command === "off" || command === "auto")  {
+    if (command === "down" || command === "up" || command === "off" || command === "auto" || command === "navigator")  {
       const tabs = await Promisify.tabsQuery();
       if (tabs && tabs[0] && tabs[0].id) {
         chrome.tabs.sendMessage(tabs[0].id, {receiver: "contentscript", greeting: "command", caller: "command", action: command});
@@ -335,4 +499,12 @@ const Background = (() => {
   // Firefox Android: chrome.commands is unsupported
   if (chrome.commands) { chrome.commands.onCommand.addListener(commandListener); }
 
+  // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
+  return {
+    getStorageDefaultValues,
+    downloadDatabase,
+    getDatabaseSources,
+    mergeDatabase
+  };
+
 })();
\ No newline at end of file
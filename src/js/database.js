@@ -0,0 +1,159 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Database handles matching URLs against the AutoPagerize database in the Background, so that the Content Script never
+ * has to load the entire database (thousands of records) on every page.
+ *
+ * The database is compiled into an index the first time it's needed. Each record's URL regular expression is parsed to
+ * find the domain it's for (e.g. "^https?://(?:www\.)?example\.com/" is for "example.com"), and the record is stored in
+ * that domain's bucket. Records whose domain can't be found (e.g. "^https?://") are stored in the generic bucket. When
+ * matching a URL, only the records in the URL's domain bucket and the generic bucket are tested, and each record's
+ * regular expression is only compiled once.
+ *
+ * The database isn't stored as a whole. Only each source's records are stored, and they're merged into the database
+ * when the index is built (see Background.mergeDatabase()).
+ *
+ * Note: Because the Background isn't persistent, the index only lives as long as the Background does, and it's reset
+ * whenever the database sources in storage change.
+ */
+const Database = (() => {
+
+  /**
+   * Variables
+   *
+   * @param index the compiled database index, containing the domain buckets and the generic bucket
+   */
+  let index;
+
+  /**
+   * Matches a URL against the database, returning only the records whose URL regular expression matches it. The records
+   * are returned in the same order as the database (longest URLs first).
+   *
+   * @param url the URL to match
+   * @returns {Promise<[]>} the matching database records
+   * @public
+   */
+  async function match(url) {
+    console.log("match() - url=" + url);
+    if (!index) {
+      await build();
+    }
+    let hostname = "";
+    try {
+      hostname = new URL(url).hostname;
+    } catch(e) {
+      console.log("match() - error parsing url, error=" + e);
+    }
+    const domain = getDomain(hostname);
+    const candidates = (index.domains.get(domain) || []).concat(index.generic).sort((a, b) => a.position - b.position);
+    const matches = [];
+    for (const candidate of candidates) {
+      try {
+        candidate.regex = candidate.regex || new RegExp(candidate.record.url);
+        if (candidate.regex.test(url)) {
+          matches.push(candidate.record);
+        }
+      } catch(e) {
+        console.log("match() - error checking a database record:" + e);
+        // Don't try to compile this record's regular expression again
+        candidate.regex = /(?!)/;
+      }
+    }
+    console.log("match() - domain=" + domain + ", candidates.length=" + candidates.length + ", matches.length=" + matches.length);
+    return matches;
+  }
+
+  /**
+   * Resets the index so that it's built again from storage the next time a URL is matched.
+   *
+   * @public
+   */
+  function reset() {
+    console.log("reset()");
+    index = undefined;
+  }
+
+  /**
+   * Builds the index from the database sources in storage, merging them into the database. If the database needs to be
+   * updated (if the update was more than X number of days ago), it's downloaded first.
+   *
+   * @private
+   */
+  async function build() {
+    const items = await Promisify.storageGet(["databaseDate", "databaseAutoUpdate"]);
+    let database = Background.mergeDatabase(await Background.getDatabaseSources());
+    // Note: 1 Day = 86400000 ms
+    if (database.length > 0 && items && items.databaseAutoUpdate >= 1 && (!items.databaseDate || ((new Date() - new Date(items.databaseDate)) >= (86400000 * items.databaseAutoUpdate)))) {
+      console.log("build() - updating database because databaseDate=" + items.databaseDate + " and databaseAutoUpdate=" + items.databaseAutoUpdate);
+      const result = await Background.downloadDatabase({useBackup: false});
+      if (result && result.downloaded) {
+        database = Background.mergeDatabase(await Background.getDatabaseSources());
+      }
+    }
+    index = { domains: new Map(), generic: [] };
+    database.forEach((record, position) => {
+      const domain = getRecordDomain(record.url);
+      const candidate = { record: record, position: position, regex: undefined };
+      if (domain) {
+        index.domains.set(domain, (index.domains.get(domain) || []).concat(candidate));
+      } else {
+        index.generic.push(candidate);
+      }
+    });
+    console.log("build() - database.length=" + database.length + ", domains.size=" + index.domains.size + ", generic.length=" + index.generic.length);
+  }
+
+  /**
+   * Gets the domain a record's URL regular expression is for by reading the literal host part backwards, starting from
+   * the first path slash after the "//" and stopping at the first regular expression character that isn't literal.
+   *
+   * @param url the record's URL regular expression
+   * @returns {string} the domain, or an empty string if the record isn't for a specific domain
+   * @private
+   */
+  function getRecordDomain(url) {
+    // Alternations (e.g. "foo\.com|bar\.org") may be for more than one domain, so they can't be put in a single bucket
+    if (typeof url !== "string" || url.includes("|")) {
+      return "";
+    }
+    // Normalize the escaped slashes, so that "\/\/" and "//" are treated the same, and empty the character classes, as they may contain slashes (e.g. "[^/]+")
+    const source = url.replace(/\\\//g, "/").replace(/\[[^\]]*\]/g, "[]");
+    const start = source.indexOf("//");
+    if (start === -1) {
+      return "";
+    }
+    const host = source.substring(start + 2).split("/")[0];
+    // Read the host backwards until a character that isn't a letter, number, hyphen, or dot (escaped or not)
+    const literal = (host.match(/(?:[a-zA-Z0-9-]|\\?\.)+$/) || [""])[0].replace(/\\\./g, ".");
+    const domain = getDomain(literal);
+    return /^[a-z0-9-]+\.[a-z0-9-]+$/.test(domain) ? domain : "";
+  }
+
+  /**
+   * Gets the domain of a hostname, which is its last two labels (e.g. "www.example.com" is "example.com").
+   *
+   * Note: This isn't the registrable domain (e.g. "example.co.uk" is "co.uk"), but it doesn't need to be, as both the
+   * records and the URLs use the same function and so will always end up in the same bucket.
+   *
+   * @param hostname the hostname
+   * @returns {string} the domain
+   * @private
+   */
+  function getDomain(hostname) {
+    return hostname.toLowerCase().split(".").filter(label => label).slice(-2).join(".");
+  }
+
+  // Reset the index whenever the database sources in storage change (e.g. they were downloaded or deleted)
+  chrome.storage.onChanged.addListener(function(changes, namespace) { if (namespace === "local" && changes.databaseSources) { reset(); } });
+
+  // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
+  return {
+    match,
+    reset
+  };
+
+})();
@@ -0,0 +1,188 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Detect handles the Auto Detect feature, which proposes a page element rule and insert before rule for sites that
+ * don't have a Saved URL or a database record.
+ *
+ * The algorithm looks for the largest group of repeated sibling elements that share the same structure (e.g. a list
+ * of search results or posts) and scores each group using the following factors:
+ * 1. Repetition - How many elements are in the group
+ * 2. Dominance - How much of the parent's children the group makes up
+ * 3. Content - How much of the page's text the group contains
+ * 4. Structure - How similar the elements in the group are to each other
+ * 5. Proximity - How close the group is to the next link (if one was found)
+ *
+ * The score of the best group is returned as the confidence (0-100) so the user can decide whether to trust it.
+ */
+const Detect = (() => {
+
+  /**
+   * Variables
+   *
+   * @param IGNORED_TAGS the tag names of children that are never part of a page element group
+   * @param EXCLUDED     the css selector of ancestors whose groups are never page elements (e.g. navigation menus)
+   * @param MIN_GROUP    the minimum number of repeated elements a group must have to be a candidate
+   * @param MAX_PARENTS  the maximum number of parents to check, to keep this fast on very large pages
+   * @param WEIGHTS      the weights of each factor when calculating the confidence
+   */
+  const IGNORED_TAGS = ["SCRIPT", "STYLE", "LINK", "META", "NOSCRIPT", "TEMPLATE", "BR", "HR"];
+  const EXCLUDED = "nav, header, footer, aside, menu, select, [role='navigation'], [role='menu'], [role='menubar']";
+  const MIN_GROUP = 3;
+  const MAX_PARENTS = 5000;
+  const WEIGHTS = { repetition: 0.25, dominance: 0.2, content: 0.25, structure: 0.1, proximity: 0.2 };
+
+  /**
+   * Detects the page elements on the page and generates the rules for them.
+   *
+   * @param document_ the document to detect the page elements in
+   * @param nextURL   (optional) the next link's URL, used to find the next link and prefer groups near it
+   * @returns {*} the detected rules, confidence, and elements; or undefined if no group was found
+   * @public
+   */
+  function detect(document_, nextURL) {
+    console.log("detect() - nextURL=" + nextURL);
+    const body = document_.body;
+    if (!body) {
+      return;
+    }
+    const bodyText = body.textContent.trim().length || 1;
+    const nextLink = nextURL ? [...document_.querySelectorAll("a[href], link[href]")].find(link => link.href === nextURL) : undefined;
+    let best;
+    const parents = [body, ...body.querySelectorAll("*")].slice(0, MAX_PARENTS);
+    for (const parent of parents) {
+      if (parent.children.length < MIN_GROUP || IGNORED_TAGS.includes(parent.nodeName) || parent.closest(EXCLUDED)) {
+        continue;
+      }
+      const children = [...parent.children].filter(child => !IGNORED_TAGS.includes(child.nodeName));
+      const group = getGroup(children);
+      if (group.length < MIN_GROUP) {
+        continue;
+      }
+      const confidence = score(group, children, bodyText, nextLink);
+      if (!best || confidence > best.confidence) {
+        best = { parent: parent, group: group, confidence: confidence };
+      }
+    }
+    if (!best) {
+      console.log("detect() - no repeated elements were found");
+      return;
+    }
+    const rules = generate(best.parent, best.group);
+    console.log("detect() - confidence=" + best.confidence + ", rules=" + JSON.stringify(rules));
+    return Object.assign(rules, { confidence: best.confidence, elements: best.group });
+  }
+
+  /**
+   * Highlights the detected elements for a few seconds so the user can see what was detected.
+   *
+   * @param elements the elements to highlight
+   * @public
+   */
+  function highlight(elements) {
+    for (const element of elements) {
+      try {
+        const outline = element.style.outline;
+        element.style.outline = "3px solid #55555F";
+        setTimeout(() => { element.style.outline = outline; }, 3000);
+      } catch(e) {
+        console.log("highlight() - exception caught, error=" + e);
+      }
+    }
+  }
+
+  /**
+   * Gets the largest group of children that share the same signature.
+   *
+   * @param children the parent's children
+   * @returns {[]} the largest group of children
+   * @private
+   */
+  function getGroup(children) {
+    const groups = new Map();
+    for (const child of children) {
+      const signature = getSignature(child);
+      groups.set(signature, (groups.get(signature) || []).concat(child));
+    }
+    return [...groups.values()].reduce((a, b) => b.length > a.length ? b : a, []);
+  }
+
+  /**
+   * Gets an element's signature, which is its tag name and stable class names. Elements with the same signature are
+   * considered to be repeated.
+   *
+   * @param element the element
+   * @returns {string} the element's signature
+   * @private
+   */
+  function getSignature(element) {
+    return element.nodeName + [...element.classList].filter(Picker.isStable).sort().map(c => "." + c).join("");
+  }
+
+  /**
+   * Scores a group of elements using the repetition, dominance, content, structure, and proximity factors.
+   *
+   * @param group    the group of repeated elements
+   * @param children all of the parent's children
+   * @param bodyText the length of the body's text
+   * @param nextLink (optional) the next link element
+   * @returns {number} the score as a whole number between 0 and 100
+   * @private
+   */
+  function score(group, children, bodyText, nextLink) {
+    const repetition = Math.min(group.length / 10, 1);
+    const dominance = group.length / children.length;
+    const content = Math.min(group.reduce((total, element) => total + element.textContent.trim().length, 0) / bodyText * 2, 1);
+    // The structure is the share of elements whose first child matches the most common first child (e.g. every result starts with a heading)
+    const firsts = group.map(element => element.firstElementChild ? element.firstElementChild.nodeName : "");
+    const structure = Math.max(...firsts.map(first => firsts.filter(f => f === first).length)) / group.length;
+    // The proximity is neutral without a next link, otherwise it decreases with the distance between the group's parent and the link's closest common ancestor
+    let proximity = 0.5;
+    if (nextLink) {
+      const parent = group[0].parentElement;
+      let distance = 0;
+      let ancestor = parent;
+      while (ancestor && !ancestor.contains(nextLink)) {
+        ancestor = ancestor.parentElement;
+        distance++;
+      }
+      // A next link inside one of the elements (e.g. a "Read More" link) means this group is likely not the page elements
+      proximity = group.some(element => element.contains(nextLink)) ? 0 : 1 / (1 + distance);
+    }
+    return Math.round(100 * (WEIGHTS.repetition * repetition + WEIGHTS.dominance * dominance + WEIGHTS.content * content + WEIGHTS.structure * structure + WEIGHTS.proximity * proximity));
+  }
+
+  /**
+   * Generates the page element rule and insert before rule for a group. The page element rule targets the parent's
+   * children with the group's common classes, or all of the parent's children when the group makes up all of them.
+   * The insert before rule is only generated when there is a different element after the group inside the parent
+   * (e.g. a pagination bar), so that the next pages are inserted before it.
+   *
+   * @param parent the group's parent
+   * @param group  the group of repeated elements
+   * @returns {{scrollElementType: string, scrollElementRule: string, scrollElementInsertRule: string}} the rules
+   * @private
+   */
+  function generate(parent, group) {
+    const parentSelector = Picker.getSelector(parent);
+    const common = [...group[0].classList].filter(c => Picker.isStable(c) && group.every(element => element.classList.contains(c)));
+    const all = [...parent.children].every(child => group.includes(child) || IGNORED_TAGS.includes(child.nodeName));
+    const child = all ? "*" : group[0].nodeName.toLowerCase() + common.map(c => "." + CSS.escape(c)).join("");
+    const next = group[group.length - 1].nextElementSibling;
+    return {
+      scrollElementType: "selector",
+      scrollElementRule: parentSelector + " > " + child,
+      scrollElementInsertRule: next && !IGNORED_TAGS.includes(next.nodeName) && !group.includes(next) ? Picker.getSelector(next) : ""
+    };
+  }
+
+  // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
+  return {
+    detect,
+    highlight
+  };
+
+})();
@@ -19,6 +19,8 @@
  * 6.  auto.js
  * 7.  action.js
  * 8.  scripts.js
- * 9.  infy.js
- * 10. scroll.js
+ * 9.  picker.js
+ * 10. detect.js
+ * 11. infy.js
+ * 12. scroll.js
  */
\ No newline at end of file
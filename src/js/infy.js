@@ -20,7 +20,7 @@ const Infy = (() => {
    */
   async function buildInstance(tab, items) {
     console.log("buildInstance()");
-    items = items ? items : await Promisify.storageGet();
+    items = items ? items : await getItems();
     // For presentation purposes, the extension has an option for URLs to be decoded or left as is. This is needed so that we recognize the URL correctly when we save them
     // Note: Use decodeURIComponent instead of decodeURI. While component is only intended for parameters (not full URLs), it can decode more characters
     // TODO: Need to also make the check for each Saved URL if the user decides to turn this option on/off... (annoying to handle)
@@ -31,7 +31,7 @@ const Infy = (() => {
         console.log("buildInstance() - error decoding URI:" + e);
       }
     }
-    // via will either be items, save, whitelist, or database. First assume we will be using the storage items
+    // via will either be items, save, whitelist, database, or microformat. First assume we will be using the storage items
     let via = "items";
     let object = items;
     // Check Saves
@@ -89,70 +89,64 @@ const Infy = (() => {
       }
     }
     // Check Database (Only if via is still items and not saves or whitelist)
+    // The Background matches the URL against the database and only sends back the records whose url matches this url
     // TODO: If a database record was found, store the nextURL and elements at this point so we don't have to re-calculate them again for page 1 in Scroll.prepareFirstPage()
-    if (via === "items" && items.database && Array.isArray(items.database) && items.database.length > 0) {
-      // Note: The microformat is the fallback rule that AutoPagerize uses
-      const microformat = {
-        url:          '.*',
-        nextLink:     '//a[@rel="next"] | //link[@rel="next"]',
-        insertBefore: '//*[contains(@class, "autopagerize_insert_before")]',
-        pageElement:  '//*[contains(@class, "autopagerize_page_element")]'
-      };
-      // TODO: items.database.push(microformat);
-      for (const d of items.database) {
+    const database = via === "items" ? await Promisify.runtimeSendMessage({receiver: "background", greeting: "matchDatabase", url: tab.url}) : undefined;
+    if (via === "items" && database && Array.isArray(database) && database.length > 0) {
+      for (const d of database) {
         try {
-          // Requirement 1: Check if this database url matches this url
-          if (new RegExp(d.url).test(tab.url)) {
-            console.log("buildInstance() - a database record's url matched:=" + d.url);
-            // Requirement 2: Check if the next url exists
-            const nextURL = NextPrev.findNextPrevURL("xpath", undefined, d.nextLink, ["href"], false, items.nextKeywords, false, false, undefined);
-            if (nextURL && nextURL.url) {
-              console.log("buildInstance() - a database record's next link matched:" + nextURL.url);
-              // Requirement 3: Check if any page elements exist
-              const elements = Scroll.getElements(document, "xpath", d.pageElement);
-              if (elements && elements.length > 0 && elements[0] && elements[0].parentNode) {
-                console.log("buildInstance() - a database record's page elements matched:" + elements.length + " elements");
-                let databaseActivate = false;
-                // Auto-activate on all URLs unless Blacklisted
-                if (items.databaseAutoActivate) {
-                  databaseActivate = true;
-                  const result = Saves.matchesList(tab.url, d.url, items.databaseBlacklist, "Database Blacklist");
-                  if (result && result.matches) {
-                    databaseActivate = false;
-                  }
-                }
-                // Or don't auto-activate on a URL unless Whitelisted
-                else {
+          // Requirement 1: The database url matches this url (already checked by the Background)
+          console.log("buildInstance() - a database record's url matched:=" + d.url);
+          // Requirement 2: Check if the next url exists
+          const nextURL = NextPrev.findNextPrevURL("xpath", undefined, d.nextLink, ["href"], false, items.nextKeywords, false, false, undefined);
+          if (nextURL && nextURL.url) {
+            console.log("buildInstance() - a database record's next link matched:" + nextURL.url);
+            // Requirement 3: Check if any page elements exist
+            const elements = Scroll.getElements(document, "xpath", d.pageElement);
+            if (elements && elements.length > 0 && elements[0] && elements[0].parentNode) {
+              console.log("buildInstance() - a database record's page elements matched:" + elements.length + " elements");
+              let databaseActivate = false;
+              // Auto-activate on all URLs unless Blacklisted
+              if (items.databaseAutoActivate) {
+                databaseActivate = true;
+                const result = Saves.matchesList(tab.url, d.url, items.databaseBlacklist, "Database Blacklist");
+                if (result && result.matches) {
                   databaseActivate = false;
-                  const result = Saves.matchesList(tab.url, d.url, items.databaseWhitelist, "Database Whitelist");
-                  if (result && result.matches) {
-                    databaseActivate = true;
-                  }
                 }
-                // Convert the database object into an instance object (set nextKeywordsEnabled to false to ensure we only use the xpath rule)
-                object.scrollAction = "next";
-                object.scrollAppend = "element";
-                object.nextType = "xpath";
-                object.nextXpath = d.nextLink;
-                object.nextKeywordsEnabled = false;
-                object.scrollElementType = "xpath";
-                object.scrollElementRule = d.pageElement;
-                object.scrollElementInsertRule = d.insertBefore;
-                object.scrollElementIframe = false;
-                object.databaseURL = d.url;
-                object.databaseFound = true;
-                object.databaseActivate = databaseActivate;
-                // If this is the generic database URLs https?://... (13 characters or less), don't use them as the Save URL and instead use the tab URL. Also change the default save type to pattern
-                if (d.url && d.url.length > 13) {
-                  object.saveURL = d.url;
-                  object.saveType = "regex";
-                } else {
-                  // Note: This saveURL gets automatically set when we build the instance below if we didn't set it here
-                  // object.saveURL = tab.url;
-                  object.saveType = "pattern";
+              }
+              // Or don't auto-activate on a URL unless Whitelisted
+              else {
+                databaseActivate = false;
+                const result = Saves.matchesList(tab.url, d.url, items.databaseWhitelist, "Database Whitelist");
+                if (result && result.matches) {
+                  databaseActivate = true;
                 }
-                break;
               }
+              // Convert the database object into an instance object (set nextKeywordsEnabled to false to ensure we only use the xpath rule)
+              object.scrollAction = "next";
+              object.scrollAppend = "element";
+              object.nextType = "xpath";
+              object.nextXpath = d.nextLink;
+              object.nextKeywordsEnabled = false;
+              object.scrollElementType = "xpath";
+              object.scrollElementRule = d.pageElement;
+              object.scrollElementInsertRule = d.insertBefore;
+              object.scrollElementIframe = false;
+              object.customScriptsRules = d.scripts;
+              object.databaseURL = d.url;
+              object.databaseFound = true;
+              object.databaseActivate = databaseActivate;
+              via = "database";
+              // If this is the generic database URLs https?://... (13 characters or less), don't use them as the Save URL and instead use the tab URL. Also change the default save type to pattern
+              if (d.url && d.url.length > 13) {
+                object.saveURL = d.url;
+                object.saveType = "regex";
+              } else {
+                // Note: This saveURL gets automatically set when we build the instance below if we didn't set it here
+                // object.saveURL = tab.url;
+                object.saveType = "pattern";
+              }
+              break;
             }
           }
         } catch(e) {
@@ -160,6 +154,49 @@ const Infy = (() => {
         }
       }
     }
+    // Check Microformat (Only if via is still items and not saves, whitelist, or database)
+    if (via === "items" && items.microformatEnabled) {
+      // Note: The microformat is the fallback rule that AutoPagerize uses for websites that publish it in their HTML
+      const microformat = {
+        nextLink:     '//a[@rel="next"] | //link[@rel="next"]',
+        insertBefore: '//*[contains(@class, "autopagerize_insert_before")]',
+        pageElement:  '//*[contains(@class, "autopagerize_page_element")]'
+      };
+      try {
+        // Requirement 1: Check if the next url exists
+        const nextURL = NextPrev.findNextPrevURL("xpath", undefined, microformat.nextLink, ["href"], false, items.nextKeywords, false, false, undefined);
+        // Requirement 2: Check if any page elements exist
+        const elements = nextURL && nextURL.url ? Scroll.getElements(document, "xpath", microformat.pageElement) : [];
+        if (elements && elements.length > 0 && elements[0] && elements[0].parentNode) {
+          console.log("buildInstance() - the microformat's next link and page elements matched:" + nextURL.url + ", " + elements.length + " elements");
+          // Auto-activate on all URLs unless Blacklisted
+          let microformatActivate = false;
+          if (items.microformatAutoActivate) {
+            microformatActivate = true;
+            const result = Saves.matchesList(tab.url, undefined, items.microformatBlacklist || [], "Microformat Blacklist");
+            if (result && result.matches) {
+              microformatActivate = false;
+            }
+          }
+          // Convert the microformat into an instance object just like a database record
+          object.scrollAction = "next";
+          object.scrollAppend = "element";
+          object.nextType = "xpath";
+          object.nextXpath = microformat.nextLink;
+          object.nextKeywordsEnabled = false;
+          object.scrollElementType = "xpath";
+          object.scrollElementRule = microformat.pageElement;
+          object.scrollElementInsertRule = microformat.insertBefore;
+          object.scrollElementIframe = false;
+          object.microformatFound = true;
+          object.microformatActivate = microformatActivate;
+          object.saveType = "pattern";
+          via = "microformat";
+        }
+      } catch(e) {
+        console.log("buildInstance() - error checking the microformat:" + e);
+      }
+    }
     // Prepopulate the selection to increment/decrement, nextKeywordsEnabled, and prevKeywordsEnabled
     // Note: Saved URL Exact will already have the selection set and Database Found will already have the next object for nextKeywordsEnabled
     // TODO: For better efficiency, we should look at moving these three statements to when we have to activate an instance so that we don't do it on every page load
@@ -172,32 +209,18 @@ const Infy = (() => {
       const findPrevURLResponse = !NextPrev.findNextPrevURL(object.prevType, object.prevSelector, object.prevXpath, object.prevProperty, false, items.prevKeywords, object.decodeURIEnabled, false,  undefined);
       object.prevKeywordsEnabled = !findPrevURLResponse || !findPrevURLResponse.url;
     }
-    // Check to see if a custom script exists for this URL and set the instance's script value with the index in the Scripts array
-    try {
-      if (items.customScriptsEnabled) {
-        for (let i = 0; i < Scripts.length; i++) {
-          const scriptURL = Scripts[i].url;
-          console.log("buildInstance() - checking scriptURL=" + scriptURL);
-          if (new RegExp(scriptURL).test(tab.url)) {
-            console.log("buildInstance() - attaching a custom script to the instance, i=" + i + ", script url=" + scriptURL);
-            object.script = i;
-            break;
-          }
-          console.log("buildInstance() - done checking scriptURL=" + scriptURL);
-        }
-      }
-    } catch(e) {
-      console.log("buildInstance() - error checking scripts, error=" + e);
-    }
+    // Check to see if any custom scripts exist for this URL and set the instance's scripts with their rules (Infy's own custom scripts are only checked if they're enabled)
+    const scripts = Scripts.match(tab.url, items.customScripts, items.customScriptsEnabled);
     // Return the newly built instance using tab, via, selection, object, and items (scrollEnabled for Infy-specific logic in shared JS)
     const instance = {
-      "enabled": items.on && !!(object.saveActivate || object.whitelistFound || object.databaseActivate),
+      "enabled": items.on && !!(object.saveActivate || object.whitelistFound || object.databaseActivate || object.microformatActivate),
       "scrollEnabled": true, "autoEnabled": false, "multiEnabled": false, "listEnabled": object.saveFound && object.scrollAction === "list",
       "decodeURIEnabled": object.decodeURIEnabled, "debugEnabled": items.debugEnabled,
       "tabId": tab.id, "url": tab.url,
       "saveFound": !!object.saveFound, "saveType": object.saveType ? object.saveType : "pattern", "saveURL": object.saveURL ? object.saveURL : tab.url, "saveID": object.saveID, "saveTitle": object.saveTitle ? object.saveTitle : "",
       "whitelistFound": !!object.whitelistFound,
       "databaseFound": !!object.databaseFound, "databaseActivate": !!object.databaseActivate, "databaseURL": object.databaseURL,
+      "microformatFound": !!object.microformatFound, "microformatActivate": !!object.microformatActivate,
       "selection": object.selection.selection, "selectionStart": object.selection.selectionStart,
       "selectionPriority": object.selectionPriority, "selectionCustom": object.selectionCustom,
       "leadingZeros": via === "save" && object.saveType === "exact" ? object.leadingZeros : items.leadingZerosPadByDetection && object.selection.selection.charAt(0) === '0' && object.selection.selection.length > 1,
@@ -211,19 +234,22 @@ const Infy = (() => {
       "buttonType": object.buttonType, "buttonRule": object.buttonRule, "buttonMethod": object.buttonMethod, "buttonScrollPixels": object.buttonScrollPixels,
       "list": object.list ? object.list : "", "listArray": object.listArray ? object.listArray : [],
       "autoTimes": items.autoTimes, "autoTimesOriginal": items.autoTimes, "autoSeconds": items.autoSeconds, "autoSlideshow": items.autoSlideshow, "autoBehavior": items.autoBehavior, "autoBadge": items.autoBadge, "autoPaused": false, "autoRepeating": false, "autoRepeatCount": 0,
-      "script": object.script,
+      "scripts": scripts, "customScriptsRules": (via === "save" || via === "database") && Array.isArray(object.customScriptsRules) ? object.customScriptsRules : [],
       "scrollAction": object.scrollAction, "scrollAppend": object.scrollAppend,
       "scrollWrapFirstPage": object.scrollWrapFirstPage, "scrollHeightWait": object.scrollHeightWait ? object.scrollHeightWait : items.scrollHeightWait,
       "scrollElementRule": object.scrollElementRule, "scrollElementInsertRule": object.scrollElementInsertRule ? object.scrollElementInsertRule : "", "scrollElementType": object.scrollElementType, "scrollElementIframe": object.scrollElementIframe,
       "scrollMediaType": object.scrollMediaType,
       "scrollAppendThresholdPages": items.scrollAppendThresholdPages, "scrollAppendThresholdPixels": object.scrollAction === "button" && object.buttonScrollPixels ? object.buttonScrollPixels : items.scrollAppendThresholdPixels,
-      "scrollAppendScripts": object.scrollAppendScripts, "scrollAppendStyles": object.scrollAppendStyles, "scrollAppendCustomStyles": object.scrollAppendCustomStyles, "scrollAppendCustomStylesValue": object.scrollAppendCustomStylesValue,
-      "scrollLazyLoad": object.scrollLazyLoad, "scrollLazyLoadMode": object.scrollLazyLoadMode, "scrollLazyLoadAttributeSource": object.scrollLazyLoadAttributeSource, "scrollLazyLoadAttributeDestination": object.scrollLazyLoadAttributeDestination,
-      "scrollbarExists": false, "scrollbarAppends": 0, "scrollDivider": items.scrollDivider, "scrollUpdateAddress": items.scrollUpdateAddress, "scrollUpdateTitle": items.scrollUpdateTitle, "scrollBehavior": items.scrollBehavior, "scrollOverlay": items.scrollOverlay, "scrollPrepareFirstPageAttempts": 0,
+      "scrollAppendScripts": object.scrollAppendScripts, "scrollAppendScriptsAllow": object.scrollAppendScriptsAllow, "scrollAppendScriptsDeny": object.scrollAppendScriptsDeny, "scrollAppendStyles": object.scrollAppendStyles, "scrollAppendCustomStyles": object.scrollAppendCustomStyles, "scrollAppendCustomStylesValue": object.scrollAppendCustomStylesValue,
+      "scrollLazyLoad": object.scrollLazyLoad, "scrollLazyLoadMode": object.scrollLazyLoadMode, "scrollLazyLoadAttributeSource": object.scrollLazyLoadAttributeSource, "scrollLazyLoadAttributeDestination": object.scrollLazyLoadAttributeDestination, "scrollLazyLoadAttributes": Array.isArray(object.scrollLazyLoadAttributes) ? object.scrollLazyLoadAttributes : [],
+      "pageCommandsEnabled": via === "save" && !!object.pageCommandsEnabled,
+      "scrollContainerRule": via === "save" && object.scrollContainerRule ? object.scrollContainerRule : "", "scrollContainerType": via === "save" && object.scrollContainerType ? object.scrollContainerType : "selector",
+      "scrollMaxPages": via === "save" && object.scrollMaxPages > 0 ? object.scrollMaxPages : 0, "scrollEnded": false, "scrollPrepend": via === "save" && !!object.scrollPrepend,
+      "scrollbarExists": false, "scrollbarAppends": 0, "scrollPaused": false, "scrollDivider": items.scrollDivider, "scrollUpdateAddress": items.scrollUpdateAddress, "scrollUpdateTitle": items.scrollUpdateTitle, "scrollBehavior": items.scrollBehavior, "scrollOverlay": items.scrollOverlay, "scrollPrepareFirstPageAttempts": 0,
       "isLocal": tab.url && tab.url.startsWith("file://"),
       "documentContentType": document && document.contentType ? document.contentType : "text/html",
       "documentCharacterSet": document && document.characterSet ? document.characterSet : "UTF-8",
-      "currentPage": 1, "totalPages": 1, "isLoading": true, "started": false, "useXHR": false
+      "currentPage": 1, "totalPages": 1, "isLoading": true, "started": false
     };
     // Set Window-specific properties
     if (typeof window === "object" && window.location) {
@@ -242,11 +268,12 @@ const Infy = (() => {
   }
 
   /**
-   * A convenience function that gets the storage items after checking to see if the database needs to be updated. If
-   * the database needs to be updated, the storage items are updated with the new database.
+   * A convenience function that gets the storage items, except for the database sources (which hold the database's
+   * records). These are only ever needed by the Background, which matches this page's URL against the database (and
+   * updates it if needed) in the matchDatabase message.
    *
-   * This function resides in the content script instead of the background's startup listener because that only fires
-   * when Chrome starts, and users tend to keep their browser open for days or weeks before restarting.
+   * Note: The database sources can have thousands of records, so not getting them here keeps them from being loaded into
+   * memory in every tab.
    *
    * @returns {Promise<{}>} the storage items
    * @public
@@ -255,17 +282,8 @@ const Infy = (() => {
     console.log("getItems()");
     let items;
     try {
-      items = await Promisify.storageGet();
-      // This checks to see if the database needs to be updated (if the update was more than X number of days ago).
-      // Note: 1 Day = 86400000 ms
-      if (items && items.database && items.database.length > 0 && items.databaseAutoUpdate >= 1 && (!items.databaseDate || ((new Date() - new Date(items.databaseDate)) >= (86400000 * items.databaseAutoUpdate)))) {
-        console.log("getItems() - updating database because databaseDate=" + items.databaseDate + " and databaseAutoUpdate=" + items.databaseAutoUpdate);
-        const response = await Promisify.runtimeSendMessage({receiver: "background", greeting: "downloadDatabase", options: {useBackup: false}});
-        console.log("getItems() - download response=" + JSON.stringify(response));
-        if (response && response.downloaded) {
-          items = await Promisify.storageGet();
-        }
-      }
+      const keys = Object.keys(await Promisify.runtimeSendMessage({receiver: "background", greeting: "getSDV"})).filter(key => key !== "databaseSources");
+      items = await Promisify.storageGet(keys);
     } catch(e) {
       console.log("getItems() - error:" + e);
     }
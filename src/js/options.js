@@ -76,6 +76,9 @@ const Options = (() => {
     // Saves
     DOM["#saved-urls-tbody"].addEventListener("click", viewSave);
     DOM["#saved-urls-delete-button"].addEventListener("click", function() { deleteSaveById(); });
+    DOM["#saved-urls-export-button"].addEventListener("click", function() { exportSaves(); });
+    DOM["#saved-urls-import-button"].addEventListener("click", function() { DOM["#saved-urls-import-input"].click(); });
+    DOM["#saved-urls-import-input"].addEventListener("change", function() { importSaves(this.files[0]); this.value = ""; });
     DOM["#saved-urls-dialog-json-input"].addEventListener("change", function() { DOM["#saved-urls-dialog-json"].style.display = this.checked ? "block" : "none"; });
     DOM["#whitelist-enable-input"].addEventListener("change", function () {
       chrome.storage.local.set({"whitelistEnabled": this.checked});
@@ -93,6 +96,22 @@ const Options = (() => {
     });
     DOM["#database-blacklist-textarea"].addEventListener("input", function () { saveInput(this, "databaseBlacklist", "array-split-newline"); });
     DOM["#database-whitelist-textarea"].addEventListener("input", function () { saveInput(this, "databaseWhitelist", "array-split-newline"); });
+    DOM["#database-sources-tbody"].addEventListener("change", changeDatabaseSource);
+    DOM["#database-sources-tbody"].addEventListener("click", changeDatabaseSource);
+    DOM["#database-sources-add-remote-button"].addEventListener("click", function() { addDatabaseSource("remote", DOM["#database-sources-url-input"].value.trim()); });
+    DOM["#database-sources-add-file-button"].addEventListener("click", function() { DOM["#database-sources-add-file-input"].click(); });
+    DOM["#database-sources-add-file-input"].addEventListener("change", async function() { if (this.files[0]) { addDatabaseSource("local", this.files[0].name, await this.files[0].text()); } this.value = ""; });
+    DOM["#database-sources-add-json-button"].addEventListener("click", function() { addDatabaseSource("local", "", DOM["#database-sources-json-textarea"].value); });
+    // Microformat
+    DOM["#microformat-enable-input"].addEventListener("change", function () {
+      chrome.storage.local.set({"microformatEnabled": this.checked});
+      DOM["#microformat-settings"].className = this.checked ? "display-block fade-in" : "display-none";
+    });
+    DOM["#microformat-auto-activate-input"].addEventListener("change", function () {
+      chrome.storage.local.set({"microformatAutoActivate": this.checked});
+      DOM["#microformat-blacklist-text-field-container"].className = this.checked ? "display-block fade-in" : "display-none";
+    });
+    DOM["#microformat-blacklist-textarea"].addEventListener("input", function () { saveInput(this, "microformatBlacklist", "array-split-newline"); });
     // Shortcuts
     // Firefox: There is no programmatic way to go to the extension shortcuts screen, so display message telling the user where to go instead
     // Edge: Note that while Edge will redirect chrome://extensions/shortcuts to the proper URL, it has its own URI/namespace so we should probably use that
@@ -118,6 +137,10 @@ const Options = (() => {
     DOM["#scroll-append-threshold-pages-input"].addEventListener("change", function () { if (+this.value >= 0 && +this.value <= 3) { saveInput(this, "scrollAppendThresholdPages", "number");} });
     DOM["#scroll-append-threshold-pixels-input"].addEventListener("change", function () { if (+this.value >= 0 && +this.value <= 3000) { saveInput(this, "scrollAppendThresholdPixels", "number");} });
     DOM["#scroll-append-delay-input"].addEventListener("change", function () { if (+this.value >= 1000 && +this.value <= 10000) { saveInput(this, "scrollAppendDelay", "number");} });
+    DOM["#scroll-dom-pages-input"].addEventListener("change", function () { if (+this.value === 0 || (+this.value >= 3 && +this.value <= 1000)) { saveInput(this, "scrollDOMPages", "number");} });
+    DOM["#scroll-prefetch-input"].addEventListener("change", function () { if (+this.value >= 0 && +this.value <= 3) { saveInput(this, "scrollPrefetch", "number");} });
+    DOM["#scroll-retries-input"].addEventListener("change", function () { if (+this.value >= 0 && +this.value <= 10) { saveInput(this, "scrollRetries", "number");} });
+    DOM["#scroll-retry-delay-input"].addEventListener("change", function () { if (+this.value >= 250 && +this.value <= 60000) { saveInput(this, "scrollRetryDelay", "number");} });
     DOM["#scroll-update-address-input"].addEventListener("change", function () { chrome.storage.local.set({"scrollUpdateAddress": this.checked}); });
     DOM["#scroll-update-title-input"].addEventListener("change", function () { chrome.storage.local.set({"scrollUpdateTitle": this.checked}); });
     DOM["#scroll-divider-align-radios"].addEventListener("change", function(event) { saveInput(event.target, "scrollDividerAlign", "value"); });
@@ -170,6 +193,7 @@ const Options = (() => {
     DOM["#error-codes-custom-input"].addEventListener("input", function() { saveInput(this, "errorCodesCustom", "array-split-all"); });
     // Extra
     DOM["#custom-scripts-enable-input"].addEventListener("change", function () { chrome.storage.local.set({"customScriptsEnabled": this.checked}); });
+    DOM["#custom-scripts-save-button"].addEventListener("click", saveCustomScripts);
     DOM["#scroll-lazy-load-input"].addEventListener("change", function () { chrome.storage.local.set({"scrollLazyLoad": this.checked}); });
     DOM["#resize-media-enable-input"].addEventListener("change", function () { chrome.storage.local.set({"resizeMediaEnabled": this.checked}); });
     DOM["#links-new-tab-enable-input"].addEventListener("change", function () { chrome.storage.local.set({"linksNewTabEnabled": this.checked}); });
@@ -198,7 +222,7 @@ const Options = (() => {
       buildSavedURLsTable(items.saves);
     }
     if (values === "all" || values === "database") {
-      updateDatabaseStats(items.database, items.databaseDate);
+      updateDatabaseStats(items.databaseSources, items.databaseDate);
     }
     if (values === "all") {
       // UI
@@ -225,6 +249,12 @@ const Options = (() => {
       DOM["#database-blacklist-textarea"].value = items.databaseBlacklist ? items.databaseBlacklist.join("\n") : "";
       DOM["#database-whitelist-text-field-container"].className = !items.databaseAutoActivate ? "display-block" : "display-none";
       DOM["#database-whitelist-textarea"].value = items.databaseWhitelist ? items.databaseWhitelist.join("\n") : "";
+      // Microformat
+      DOM["#microformat-enable-input"].checked = items.microformatEnabled;
+      DOM["#microformat-settings"].className = items.microformatEnabled ? "display-block" : "display-none";
+      DOM["#microformat-auto-activate-input"].checked = items.microformatAutoActivate;
+      DOM["#microformat-blacklist-text-field-container"].className = items.microformatAutoActivate ? "display-block" : "display-none";
+      DOM["#microformat-blacklist-textarea"].value = items.microformatBlacklist ? items.microformatBlacklist.join("\n") : "";
       // Shortcuts
       DOM["#shortcuts-dynamic-settings-note"].textContent = chrome.i18n.getMessage("dynamic_settings_current") + items.scrollAction + " " + items.scrollAppend;
       // Scroll
@@ -240,6 +270,10 @@ const Options = (() => {
       DOM["#scroll-append-threshold-pages-input"].value = items.scrollAppendThresholdPages;
       DOM["#scroll-append-threshold-pixels-input"].value = items.scrollAppendThresholdPixels;
       DOM["#scroll-append-delay-input"].value = items.scrollAppendDelay;
+      DOM["#scroll-dom-pages-input"].value = items.scrollDOMPages || 0;
+      DOM["#scroll-prefetch-input"].value = items.scrollPrefetch || 0;
+      DOM["#scroll-retries-input"].value = items.scrollRetries || 0;
+      DOM["#scroll-retry-delay-input"].value = items.scrollRetryDelay || 1000;
       MDC.selects.get("scroll-divider-select").value = items.scrollDivider;
       DOM["#scroll-divider-align-left-input"].checked = items.scrollDividerAlign === "left";
       DOM["#scroll-divider-align-center-input"].checked = items.scrollDividerAlign === "center";
@@ -299,6 +333,7 @@ const Options = (() => {
       DOM["#prev-keywords-textarea"].value = items.prevKeywords;
       // Extra
       DOM["#custom-scripts-enable-input"].checked = items.customScriptsEnabled;
+      DOM["#custom-scripts-textarea"].value = items.customScripts && items.customScripts.length > 0 ? JSON.stringify(items.customScripts, null, 2) : "";
       DOM["#scroll-lazy-load-input"].checked = items.scrollLazyLoad;
       DOM["#resize-media-enable-input"].checked = items.resizeMediaEnabled;
       DOM["#links-new-tab-enable-input"].checked = items.linksNewTabEnabled;
@@ -365,9 +400,8 @@ const Options = (() => {
         tbody.appendChild(tr);
       }
       MDC.tables.get("saved-urls-data-table").layout();
-    } else {
-      DOM["#saved-urls-buttons"].style.display = "none";
     }
+    DOM["#saved-urls-buttons"].style.display = saves && saves.length > 0 ? "block" : "none";
     DOM["#saved-urls-stats"].style.display = saves && saves.length > 0 ? "block" : "none";
     DOM["#saved-urls-quantity"].textContent = saves && saves.length > 0 ? chrome.i18n.getMessage("saved_urls_quantity") + " " + saves.length : "";
     DOM["#saved-urls-none"].style.display = saves && saves.length > 0 ? "none" : "block";
@@ -425,36 +459,112 @@ const Options = (() => {
     }
   }
 
+  /**
+   * Exports the Saved URLs to a versioned JSON file. If any saves are selected (checked) in the table, only those saves
+   * are exported; otherwise all of them are. The whitelist, database blacklist/whitelist, and microformat blacklist are always exported.
+   *
+   * @private
+   */
+  async function exportSaves() {
+    // We must get the checkbox ID values dynamically via a query (can't use the DOM Cache)
+    const checkboxes = [...document.querySelectorAll("#saved-urls-tbody input[type=checkbox]:checked")].map(o => +o.value);
+    const storage = await Promisify.storageGet();
+    const saves = (storage.saves || []).filter(save => checkboxes.length <= 0 || checkboxes.includes(save.id));
+    console.log("exportSaves() - checkboxes=" + checkboxes + ", saves.length=" + saves.length);
+    const bundle = {
+      "name": chrome.i18n.getMessage("name"), "version": chrome.runtime.getManifest().version, "date": new Date().toJSON(),
+      "saves": saves, "whitelist": storage.whitelist || [], "databaseBlacklist": storage.databaseBlacklist || [], "databaseWhitelist": storage.databaseWhitelist || [], "microformatBlacklist": storage.microformatBlacklist || []
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, "  ")], {type: "application/json"}));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "infy-scroll-saves-" + bundle.date.substring(0, 10) + ".json";
+    a.click();
+    setTimeout(() => { URL.revokeObjectURL(url); }, 1000);
+    const snackbar = MDC.snackbars.get("saved-urls-snackbar");
+    snackbar.labelText = chrome.i18n.getMessage("saved_urls_snackbar_export_label").replace("?", saves.length);
+    snackbar.open();
+  }
+
+  /**
+   * Imports the Saved URLs from a JSON file that was exported by exportSaves. The file is first migrated to the current
+   * version by the Background's Storage.restore before its saves are merged by URL using the selected import mode.
+   *
+   * @param file the JSON file the user selected
+   * @private
+   */
+  async function importSaves(file) {
+    console.log("importSaves() - file=" + (file ? file.name : file));
+    if (!file) {
+      return;
+    }
+    const snackbar = MDC.snackbars.get("saved-urls-snackbar");
+    try {
+      let bundle = JSON.parse(await file.text());
+      if (!bundle || typeof bundle !== "object" || !Array.isArray(bundle.saves)) {
+        throw new Error("saves is not an array");
+      }
+      const restored = await Promisify.runtimeSendMessage({receiver: "background", greeting: "restore", previousVersion: bundle.version, method: "import", items: bundle});
+      if (!restored || restored.error || !restored.items || !Array.isArray(restored.items.saves)) {
+        throw new Error(restored && restored.error ? restored.error : "the file could not be restored");
+      }
+      bundle = restored.items;
+      const mode = DOM["#saved-urls-import-mode-radios"].querySelector("input:checked").value;
+      const result = await Saves.importSaves(bundle.saves, mode);
+      // The lists are merged by adding any URLs that aren't already in them
+      const storage = await Promisify.storageGet();
+      const lists = {};
+      for (const list of ["whitelist", "databaseBlacklist", "databaseWhitelist", "microformatBlacklist"]) {
+        lists[list] = [...new Set((storage[list] || []).concat(bundle[list] || []))];
+      }
+      await Promisify.storageSet(lists);
+      populateValuesFromStorage("all");
+      snackbar.labelText = chrome.i18n.getMessage("saved_urls_snackbar_import_label").replace("?1", result.added).replace("?2", result.overwritten).replace("?3", result.skipped).replace("?4", result.invalid);
+    } catch (e) {
+      console.log("importSaves() - error=" + e);
+      snackbar.labelText = chrome.i18n.getMessage("saved_urls_snackbar_import_error_label") + e.message;
+    }
+    snackbar.open();
+  }
+
   /**
    * Downloads the database.
    *
    * @private
    */
   async function downloadDatabase() {
-    const url = chrome.i18n.getMessage("database_url");
     const snackbar = MDC.snackbars.get("database-snackbar");
     snackbar.open();
-    snackbar.labelText = chrome.i18n.getMessage("database_snackbar_download_downloading_label") + url + " ...";
+    snackbar.labelText = chrome.i18n.getMessage("database_sources_snackbar_downloading_label");
     const response = await Promisify.runtimeSendMessage({receiver: "background", greeting: "downloadDatabase", options: {useBackup: true}});
     console.log("downloadDatabase() - download response=" + JSON.stringify(response));
-    if (response && response.downloaded) {
+    if (response && response.downloaded && !response.error) {
       snackbar.labelText = chrome.i18n.getMessage("database_snackbar_download_success_label");
-      populateValuesFromStorage("database");
     } else {
-      snackbar.labelText = chrome.i18n.getMessage("database_snackbar_download_error_label") + url + " " + (response ? response.error: "");
+      snackbar.labelText = chrome.i18n.getMessage("database_snackbar_download_error_label") + (response ? response.error : "");
     }
+    // Always update the stats, as some sources may have been downloaded even if others couldn't be
+    populateValuesFromStorage("database");
   }
 
   /**
-   * Deletes the database.
+   * Deletes the database, including each source's records.
    *
    * @private
    */
   async function deleteDatabase() {
+    const sources = await Promisify.storageGet("databaseSources") || [];
+    for (const source of sources) {
+      source.records = [];
+      source.count = 0;
+      source.date = null;
+    }
     await Promisify.storageSet({
-      "database": [],
-      "databaseDate": null
+      "databaseDate": null,
+      "databaseSources": sources
     });
+    // The old database storage item (from before there were sources) is removed so that it isn't seeded into the default source again
+    await Promisify.storageRemove("database");
     populateValuesFromStorage("database");
     MDC.snackbars.get("database-delete-snackbar").open();
   }
@@ -463,17 +573,114 @@ const Options = (() => {
    * Updates the database's stats (the URL count and last updated date). Also updates the button label to be either
    * "Download Database" or "Update Database" depending on whether the user has downloaded it or not.
    *
-   * @param database the database array
-   * @param jdate    the database date in JSON format
+   * Note: The URL count is the number of unique URLs in the enabled sources, which is the merged database's length.
+   *
+   * @param sources the database sources, each with its records and its own stats
+   * @param jdate   the database date in JSON format
    * @private
    */
-  function updateDatabaseStats(database, jdate) {
+  function updateDatabaseStats(sources, jdate) {
     const date = new Date(jdate);
-    const databaseDownloaded = database && database.length > 0;
-    DOM["#database-length"].textContent = databaseDownloaded ? database.length : 0;
+    const urls = new Set();
+    (sources || []).filter(source => source.enabled).forEach(source => (source.records || []).forEach(record => urls.add(record.url)));
+    const databaseDownloaded = urls.size > 0;
+    DOM["#database-length"].textContent = urls.size;
     DOM["#database-date"].textContent = databaseDownloaded ? date.toLocaleDateString() + " " + date.toLocaleTimeString() : "N/A";
     DOM["#database-download-label"].textContent = chrome.i18n.getMessage("database_" + (databaseDownloaded ? "update" : "download") + "_label");
     DOM["#database-extras"].style.display = databaseDownloaded ? "block" : "none";
+    buildDatabaseSourcesTable(sources);
+  }
+
+  /**
+   * Builds out the database sources table HTML using a template, showing each source's stats (the record count and
+   * last updated date) in priority order.
+   *
+   * @param sources the database sources to build from
+   * @private
+   */
+  function buildDatabaseSourcesTable(sources) {
+    const tbody = DOM["#database-sources-tbody"];
+    const template = DOM["#database-sources-tr-template"];
+    while (tbody.rows.length > 0) {
+      tbody.deleteRow(0);
+    }
+    for (const source of (sources || []).slice().sort((a, b) => a.priority - b.priority)) {
+      const tr = template.content.children[0].cloneNode(true);
+      tr.dataset.id = source.id;
+      tr.querySelector(".database-source-enabled").checked = source.enabled;
+      tr.querySelector(".database-source-priority").value = source.priority;
+      tr.querySelector(".database-source-name").textContent = source.name || chrome.i18n.getMessage("database_sources_" + source.type + "_label");
+      tr.querySelector(".database-source-url").textContent = source.type === "remote" ? source.url : "";
+      tr.querySelector(".database-source-error").textContent = source.error || "";
+      tr.children[3].textContent = source.count || 0;
+      tr.children[4].textContent = source.date ? new Date(source.date).toLocaleDateString() : "N/A";
+      tbody.appendChild(tr);
+    }
+    MDC.tables.get("database-sources-data-table").layout();
+  }
+
+  /**
+   * Changes a database source in the database sources table after the user changes its enabled checkbox or priority,
+   * or clicks its remove icon. The Background merges the database again afterwards.
+   *
+   * @param event the change or click event
+   * @private
+   */
+  async function changeDatabaseSource(event) {
+    const tr = event.target.closest("tr");
+    const source = { id: tr ? tr.dataset.id : undefined };
+    let remove = false;
+    if (event.type === "change" && event.target.classList.contains("database-source-enabled")) {
+      source.enabled = event.target.checked;
+    } else if (event.type === "change" && event.target.classList.contains("database-source-priority") && +event.target.value >= 1) {
+      source.priority = +event.target.value;
+    } else if (event.type === "click" && event.target.closest(".database-source-remove")) {
+      remove = true;
+    } else {
+      return;
+    }
+    console.log("changeDatabaseSource() - source=" + JSON.stringify(source) + ", remove=" + remove);
+    await Promisify.runtimeSendMessage({receiver: "background", greeting: "setDatabaseSource", source: source, remove: remove});
+    populateValuesFromStorage("database");
+  }
+
+  /**
+   * Adds a database source. Remote sources are downloaded right after they're added. Local sources (a file or pasted
+   * JSON) send their JSON to the Background, which reads the records from it.
+   *
+   * @param type the source type, either "remote" or "local"
+   * @param url  the remote source's url, or the local source's file name
+   * @param json (optional) the local source's JSON
+   * @private
+   */
+  async function addDatabaseSource(type, url, json) {
+    const snackbar = MDC.snackbars.get("database-snackbar");
+    if (type === "remote" && !/^https?:\/\//.test(url)) {
+      snackbar.labelText = chrome.i18n.getMessage("database_sources_snackbar_url_error_label");
+      snackbar.open();
+      return;
+    }
+    const source = { id: "source-" + Date.now(), type: type, name: DOM["#database-sources-name-input"].value.trim() || (type === "local" ? url : ""), url: type === "remote" ? url : "" };
+    if (json) {
+      source.json = json;
+    }
+    const result = await Promisify.runtimeSendMessage({receiver: "background", greeting: "setDatabaseSource", source: source});
+    if (result && result.error) {
+      snackbar.labelText = chrome.i18n.getMessage("database_sources_snackbar_json_error_label") + result.error;
+      snackbar.open();
+      return;
+    }
+    DOM["#database-sources-name-input"].value = DOM["#database-sources-url-input"].value = DOM["#database-sources-json-textarea"].value = "";
+    if (type === "remote") {
+      snackbar.labelText = chrome.i18n.getMessage("database_snackbar_download_downloading_label") + url + " ...";
+      snackbar.open();
+      const response = await Promisify.runtimeSendMessage({receiver: "background", greeting: "downloadDatabase", options: {sourceId: source.id}});
+      snackbar.labelText = response && response.downloaded && !response.error ? chrome.i18n.getMessage("database_snackbar_download_success_label") : chrome.i18n.getMessage("database_snackbar_download_error_label") + (response && response.error ? response.error : url);
+    } else {
+      snackbar.labelText = chrome.i18n.getMessage("database_sources_snackbar_added_label");
+      snackbar.open();
+    }
+    populateValuesFromStorage("database");
   }
 
   /**
@@ -582,6 +789,30 @@ const Options = (() => {
     }
   }
 
+  /**
+   * Validates the user's custom scripts and then saves them. The custom scripts are a JSON array, with each custom
+   * script having a URL regular expression and an array of rules (see Scripts for the rule format).
+   *
+   * @private
+   */
+  function saveCustomScripts() {
+    const value = DOM["#custom-scripts-textarea"].value.trim();
+    let customScripts;
+    try {
+      customScripts = value ? JSON.parse(value) : [];
+    } catch(e) {
+      DOM["#custom-scripts-message-span"].textContent = chrome.i18n.getMessage("custom_scripts_json_error") + " " + e;
+      return;
+    }
+    const error = Scripts.validateScripts(customScripts);
+    if (error) {
+      DOM["#custom-scripts-message-span"].textContent = error;
+      return;
+    }
+    DOM["#custom-scripts-message-span"].textContent = chrome.i18n.getMessage("custom_scripts_save_success");
+    chrome.storage.local.set({"customScripts": customScripts});
+  }
+
   /**
    * Resets the options by clearing the storage and setting it with the default storage values, removing any extra
    * permissions, and lastly re-populating the options input values from storage again.
@@ -609,7 +840,7 @@ const Options = (() => {
         options.saves = items.saves ? items.saves : options.saves;
         options.whitelist = items.whitelist ? items.whitelist : options.whitelist;
         options.whitelistEnabled = !!items.whitelistEnabled;
-        options.database = items.database ? items.database : options.database;
+        options.databaseSources = items.databaseSources ? items.databaseSources : options.databaseSources;
         options.databaseDate = items.databaseDate ? items.databaseDate : options.databaseDate;
         // Note: When validating databaseAutoUpdate, we use typeof instead of existence because it can sometimes be 0, which is a truthy value (false)
         options.databaseAutoUpdate = typeof items.databaseAutoUpdate === "number" ? items.databaseAutoUpdate : options.databaseAutoUpdate;
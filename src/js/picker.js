@@ -0,0 +1,385 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Picker handles the Element Picker, which lets the user pick an element on the page and generates its CSS Selector
+ * and XPath expressions automatically, so that they don't have to be typed by hand in the Popup.
+ *
+ * The Popup closes as soon as the user clicks on the page, so the picker can't send its result directly back to the
+ * Popup. Instead, the result is stored here and the Popup asks for it the next time it is opened.
+ *
+ * Note: When picking the Page Element, the user picks one of the elements (e.g. a single search result) and the rule is
+ * generated to target all of its parent's children (e.g. "#results > *"), just like all other Page Element rules.
+ */
+const Picker = (() => {
+
+  /**
+   * Variables
+   *
+   * @param STYLE     the css style that resets every element in the picker's interface
+   * @param COLOR     the css color that is used for the highlight and the picker's interface
+   * @param picker    the popup field that is being picked for: "next", "prev", "button", "element", or "insert"
+   * @param type      the rule type the popup field is using: "selector" or "xpath"
+   * @param element   the current element that is highlighted
+   * @param locked    true if the user clicked an element and it is locked (hovering won't change it), false otherwise
+   * @param result    the result (the generated selector and xpath) of the last picked element
+   * @param highlight the highlight element that is positioned over the current element
+   * @param toolbar   the toolbar element that shows the rules and the traversal buttons
+   */
+  const STYLE = "all: initial; box-sizing: border-box; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; color: #000000; ";
+  const COLOR = "#55555F";
+  let picker;
+  let type;
+  let element;
+  let locked = false;
+  let result;
+  let highlight;
+  let toolbar;
+
+  /**
+   * Starts the Element Picker on the page.
+   *
+   * @param picker_ the popup field that is being picked for
+   * @param type_   the rule type the popup field is using
+   * @public
+   */
+  function start(picker_, type_) {
+    console.log("start() - picker=" + picker_ + ", type=" + type_);
+    stop();
+    picker = picker_;
+    type = type_ === "xpath" ? "xpath" : "selector";
+    locked = false;
+    highlight = document.createElement("div");
+    highlight.style = STYLE + "position: fixed; pointer-events: none; z-index: 2147483646; border: 2px solid " + COLOR + "; background: rgba(85, 85, 95, 0.2); display: none;";
+    toolbar = createToolbar();
+    document.body.append(highlight, toolbar);
+    window.addEventListener("mouseover", mouseover, true);
+    window.addEventListener("click", click, true);
+    window.addEventListener("keydown", keydown, true);
+    window.addEventListener("scroll", position, true);
+    window.addEventListener("resize", position, true);
+  }
+
+  /**
+   * Stops the Element Picker and removes all of its elements and listeners from the page.
+   *
+   * @public
+   */
+  function stop() {
+    console.log("stop()");
+    window.removeEventListener("mouseover", mouseover, true);
+    window.removeEventListener("click", click, true);
+    window.removeEventListener("keydown", keydown, true);
+    window.removeEventListener("scroll", position, true);
+    window.removeEventListener("resize", position, true);
+    if (highlight) {
+      highlight.remove();
+    }
+    if (toolbar) {
+      toolbar.remove();
+    }
+    highlight = toolbar = element = undefined;
+  }
+
+  /**
+   * Gets the result of the last picked element and clears it, so that the Popup only uses it one time.
+   *
+   * @returns {*} the result containing the picker, type, selector, and xpath; or undefined if nothing was picked
+   * @public
+   */
+  function popResult() {
+    const result_ = result;
+    result = undefined;
+    return result_;
+  }
+
+  /**
+   * Creates the toolbar, which shows the generated rules and contains the traversal (parent/child/sibling) buttons.
+   *
+   * @returns {HTMLDivElement} the toolbar
+   * @private
+   */
+  function createToolbar() {
+    const div = document.createElement("div");
+    div.style = STYLE + "position: fixed; bottom: 0; right: 0; z-index: 2147483647; width: 400px; max-width: 100%; padding: 8px; background: #FFFFFF; border: 1px solid " + COLOR + "; border-radius: 4px 0 0 0; box-shadow: 0 0 4px rgba(0, 0, 0, 0.5);";
+    const title = document.createElement("div");
+    title.style = STYLE + "display: block; font-weight: bold; margin-bottom: 4px; color: " + COLOR + ";";
+    title.textContent = chrome.i18n.getMessage("element_picker_button") + " (" + chrome.i18n.getMessage("element_picker_" + picker + "_label") + ")";
+    div.appendChild(title);
+    for (const line of ["node", "selector", "xpath"]) {
+      const span = document.createElement("div");
+      span.style = STYLE + "display: block; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; margin-bottom: 4px;";
+      span.dataset.line = line;
+      div.appendChild(span);
+    }
+    const buttons = document.createElement("div");
+    buttons.style = STYLE + "display: block;";
+    const actions = [["parent", "↑"], ["child", "↓"], ["previous", "←"], ["next", "→"], ["save", "✓"], ["cancel", "✕"]];
+    for (const [action, symbol] of actions) {
+      const button = document.createElement("button");
+      button.style = STYLE + "display: inline-block; margin: 0 4px 0 0; padding: 4px 8px; cursor: pointer; border: 1px solid " + COLOR + "; border-radius: 4px; background: " + (action === "save" ? COLOR + "; color: #FFFFFF;" : "#FFFFFF;");
+      button.textContent = symbol + " " + chrome.i18n.getMessage("element_picker_" + action + "_button");
+      button.dataset.action = action;
+      buttons.appendChild(button);
+    }
+    div.appendChild(buttons);
+    const help = document.createElement("div");
+    help.style = STYLE + "display: block; margin-top: 4px; font-style: italic;";
+    help.textContent = chrome.i18n.getMessage("element_picker_help");
+    div.appendChild(help);
+    return div;
+  }
+
+  /**
+   * The mouseover listener highlights the element the user is hovering over (unless an element is locked).
+   *
+   * @param event the mouseover event
+   * @private
+   */
+  function mouseover(event) {
+    if (!locked && event.target && !toolbar.contains(event.target)) {
+      select(event.target);
+    }
+  }
+
+  /**
+   * The click listener locks the element the user clicked on, or performs the toolbar button's action.
+   * Clicks are always stopped from reaching the page so that links and buttons aren't followed while picking.
+   *
+   * @param event the click event
+   * @private
+   */
+  function click(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (toolbar.contains(event.target)) {
+      const button = event.target.closest("button");
+      if (button) {
+        perform(button.dataset.action);
+      }
+      return;
+    }
+    locked = true;
+    select(event.target);
+  }
+
+  /**
+   * The keydown listener lets the user traverse the DOM with the arrow keys, save with Enter, and cancel with Escape.
+   *
+   * @param event the keydown event
+   * @private
+   */
+  function keydown(event) {
+    const action = {"ArrowUp": "parent", "ArrowDown": "child", "ArrowLeft": "previous", "ArrowRight": "next", "Enter": "save", "Escape": "cancel"}[event.key];
+    if (action) {
+      event.preventDefault();
+      event.stopPropagation();
+      perform(action);
+    }
+  }
+
+  /**
+   * Performs a toolbar action. Traversing the DOM locks the current element.
+   *
+   * @param action the action to perform: "parent", "child", "previous", "next", "save", or "cancel"
+   * @private
+   */
+  function perform(action) {
+    console.log("perform() - action=" + action);
+    if (!element && action !== "cancel") {
+      return;
+    }
+    switch (action) {
+      case "parent":
+        if (element.parentElement && element.parentElement !== document.documentElement) {
+          locked = true;
+          select(element.parentElement);
+        }
+        break;
+      case "child":
+        if (element.firstElementChild) {
+          locked = true;
+          select(element.firstElementChild);
+        }
+        break;
+      case "previous":
+        if (element.previousElementSibling) {
+          locked = true;
+          select(element.previousElementSibling);
+        }
+        break;
+      case "next":
+        if (element.nextElementSibling) {
+          locked = true;
+          select(element.nextElementSibling);
+        }
+        break;
+      case "save":
+        save();
+        break;
+      case "cancel":
+        stop();
+        break;
+    }
+  }
+
+  /**
+   * Selects an element: highlights it and updates the toolbar with its generated rules.
+   *
+   * @param element_ the element to select
+   * @private
+   */
+  function select(element_) {
+    if (!element_ || element_.nodeType !== Node.ELEMENT_NODE || element_ === highlight || element_ === document.documentElement) {
+      return;
+    }
+    element = element_;
+    position();
+    const rules = generate(element);
+    toolbar.querySelector("[data-line='node']").textContent = element.nodeName.toLowerCase() + (element.id ? "#" + element.id : "") + (element.classList.length > 0 ? "." + [...element.classList].join(".") : "");
+    toolbar.querySelector("[data-line='selector']").textContent = chrome.i18n.getMessage("selector_label") + ": " + rules.selector;
+    toolbar.querySelector("[data-line='xpath']").textContent = chrome.i18n.getMessage("xpath_label") + ": " + rules.xpath;
+  }
+
+  /**
+   * Positions the highlight over the current element. This is also called when the page is scrolled or resized.
+   *
+   * @private
+   */
+  function position() {
+    if (highlight && element) {
+      const rect = element.getBoundingClientRect();
+      highlight.style.display = "block";
+      highlight.style.top = rect.top + "px";
+      highlight.style.left = rect.left + "px";
+      highlight.style.width = rect.width + "px";
+      highlight.style.height = rect.height + "px";
+    }
+  }
+
+  /**
+   * Saves the current element's generated rules as the result and stops the picker.
+   *
+   * @private
+   */
+  function save() {
+    result = Object.assign({ picker: picker, type: type }, generate(element));
+    console.log("save() - result=" + JSON.stringify(result));
+    stop();
+    // Let the user know they can now open the Popup to use the picked element
+    const message = document.createElement("div");
+    message.style = STYLE + "position: fixed; bottom: 0; right: 0; z-index: 2147483647; padding: 8px; background: " + COLOR + "; color: #FFFFFF; border-radius: 4px 0 0 0;";
+    message.textContent = chrome.i18n.getMessage("element_picker_saved");
+    document.body.appendChild(message);
+    setTimeout(() => { message.remove(); }, 5000);
+  }
+
+  /**
+   * Generates the rules (the selector and xpath) for an element depending on the popup field that is being picked for.
+   * The page element rules target the element's parent's children, while all the other fields target the element itself.
+   *
+   * @param element_ the element
+   * @returns {{selector: string, xpath: string}} the generated rules
+   * @private
+   */
+  function generate(element_) {
+    if (picker === "element" && element_.parentElement && element_ !== document.body) {
+      return { selector: getSelector(element_.parentElement) + " > *", xpath: getXPath(element_.parentElement) + "/*" };
+    }
+    return { selector: getSelector(element_), xpath: getXPath(element_) };
+  }
+
+  /**
+   * Generates a CSS Selector for an element. The selector is built from the element up to the nearest ancestor with a
+   * unique ID (or the body), stopping as soon as the selector only matches the element. Each part of the selector uses
+   * the element's stable classes and only adds a :nth-of-type() when they aren't enough to tell its siblings apart.
+   *
+   * @param element_ the element
+   * @returns {string} the CSS Selector
+   * @public
+   */
+  function getSelector(element_) {
+    const path = [];
+    for (let el = element_; el && el.nodeType === Node.ELEMENT_NODE && el !== document.documentElement; el = el.parentElement) {
+      if (hasUniqueId(el)) {
+        path.unshift("#" + CSS.escape(el.id));
+        break;
+      }
+      let part = el.nodeName.toLowerCase();
+      if (el === document.body || !el.parentElement) {
+        path.unshift(part);
+        break;
+      }
+      part += [...el.classList].filter(isStable).map(c => "." + CSS.escape(c)).join("");
+      const siblings = [...el.parentElement.children].filter(sibling => sibling.matches(part));
+      if (siblings.length > 1) {
+        const types = [...el.parentElement.children].filter(sibling => sibling.nodeName === el.nodeName);
+        part += ":nth-of-type(" + (types.indexOf(el) + 1) + ")";
+      }
+      path.unshift(part);
+      if (document.querySelectorAll(path.join(" > ")).length === 1) {
+        break;
+      }
+    }
+    return path.join(" > ");
+  }
+
+  /**
+   * Generates an XPath expression for an element. The expression is built from the element up to the nearest
+   * ancestor with a unique ID (or the root), and only adds a position when the element has siblings with the same name.
+   *
+   * @param element_ the element
+   * @returns {string} the XPath expression
+   * @private
+   */
+  function getXPath(element_) {
+    const path = [];
+    for (let el = element_; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+      if (hasUniqueId(el) && !el.id.includes("\"")) {
+        path.unshift("//*[@id=\"" + el.id + "\"]");
+        return path.join("/");
+      }
+      // Elements that aren't in the HTML namespace (e.g. svg) can't be matched by their name alone
+      const name = el.namespaceURI === "http://www.w3.org/1999/xhtml" ? el.nodeName.toLowerCase() : "*[local-name()=\"" + el.localName + "\"]";
+      const siblings = el.parentElement ? [...el.parentElement.children].filter(sibling => sibling.nodeName === el.nodeName) : [el];
+      path.unshift(siblings.length > 1 ? name + "[" + (siblings.indexOf(el) + 1) + "]" : name);
+    }
+    return "/" + path.join("/");
+  }
+
+  /**
+   * Checks if an element has a stable ID that is unique in the document.
+   *
+   * @param el the element
+   * @returns {boolean} true if the element has a unique ID, false otherwise
+   * @private
+   */
+  function hasUniqueId(el) {
+    return !!el.id && isStable(el.id) && document.querySelectorAll("#" + CSS.escape(el.id)).length === 1;
+  }
+
+  /**
+   * Checks if an ID or class name looks stable. Names that contain long numbers (e.g. "post-12345") or that look
+   * generated by a framework (e.g. "css-1q2w3e") are likely to change between pages, so they aren't used.
+   *
+   * @param name the ID or class name
+   * @returns {boolean} true if the name looks stable, false otherwise
+   * @public
+   */
+  function isStable(name) {
+    return !!name && name.length <= 40 && !/\d{3,}/.test(name) && !/^(css|sc|jsx|emotion)-/i.test(name) && !/[a-z]\d[a-z]\d/i.test(name);
+  }
+
+  // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
+  return {
+    start,
+    stop,
+    popResult,
+    getSelector,
+    isStable
+  };
+
+})();
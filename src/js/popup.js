@@ -68,7 +68,8 @@ const Popup = (() => {
     DOM["#scripts-and-styles-button"].addEventListener("click", function() { MDC.dialogs.get("scripts-and-styles-dialog").open(); });
     DOM["#options-button"].addEventListener("click", function() { chrome.runtime.openOptionsPage(); });
     DOM["#options-button-2"].addEventListener("click", function() { chrome.runtime.openOptionsPage(); });
-    // TODO: DOM["#element-picker-next-button"].addEventListener("click", () => { window.close(); });
+    document.querySelectorAll(".element-picker-button").forEach(el => el.addEventListener("click", startPicker));
+    DOM["#element-detect-button"].addEventListener("click", detectScrollElement);
     // The Don't show this again button in snackbar sets the interface messages to false
     MDC.snackbars.get("popup-activated-snackbar").actionEl_.addEventListener("click", () => { chrome.storage.local.set({ "interfaceMessages": false }); });
     MDC.fabs.get("save-fab").listen("click", () => { MDC.dialogs.get("save-dialog").open(); MDC.layout(); });
@@ -119,6 +120,7 @@ const Popup = (() => {
     // // TODO: The input event listener isn't firing on radio changes in older versions of Chrome (60), so we need to call the callback on the radio changes as well
     // DOM["#button-type"].addEventListener("change", function() { checkButton(true); });
     // Scripts and Styles
+    DOM["#scroll-append-scripts-input"].addEventListener("change", function() { DOM["#scroll-append-scripts-lists"].className = this.checked ? "display-block fade-in" : "display-none"; MDC.layout(); });
     DOM["#scroll-append-custom-styles-input"].addEventListener("change", function() { DOM["#scroll-append-custom-styles"].className = this.checked ? "display-block fade-in" : "display-none"; MDC.layout(); });
     DOM["#scroll-lazy-load-input"].addEventListener("change", function() { DOM["#scroll-lazy-load"].className = this.checked ? "display-inline fade-in" : "display-none"; MDC.layout(); });
     // // TODO: The input event listener isn't firing on radio changes in older versions of Chrome (60), so we need to call the callback on the radio changes as well
@@ -158,6 +160,11 @@ const Popup = (() => {
     }
     console.log("init() - tabs=" + JSON.stringify(tabs));
     console.log("init() - instance=" + JSON.stringify(instance));
+    // If the Element Picker was used before the popup was reopened, apply its result to the instance before the setup is filled in
+    const pickerResult = await Promisify.tabsSendMessage(tabs[0].id, {receiver: "contentscript", greeting: "getPickerResult"});
+    if (pickerResult) {
+      applyPickerResult(pickerResult);
+    }
     _ = JSON.parse(JSON.stringify(instance));
     // 2 Popup Views: If enabled, show Controls. If not enabled, show Setup
     if (instance.enabled) {
@@ -180,7 +187,7 @@ const Popup = (() => {
     // Initialization that requires the instance
     MDC.lists.get("action-list").selectedIndex = instance.scrollAction === "next" || instance.scrollAction === "prev" ? 0 : instance.scrollAction === "increment" || instance.scrollAction === "decrement" ? 1 : instance.scrollAction === "button" ? 2 : instance.scrollAction === "list" ? 3 : -1;
     MDC.lists.get("append-list").selectedIndex = instance.scrollAppend === "page" ? 0 : instance.scrollAppend === "iframe" ? 1 : instance.scrollAppend === "element" ? 2 : instance.scrollAppend === "media" ? 3 : 0;
-    MDC.lists.get("append-button-list").selectedIndex = instance.scrollAppend === "button" ? 0 : 0;
+    MDC.lists.get("append-button-list").selectedIndex = instance.scrollAppend === "keep" ? 1 : 0;
     MDC.chips.get((instance.scrollAction === "prev" ? "prev" : "next") + "-chip").selected = true;
     updateSetup(false, false);
     changeAction();
@@ -192,8 +199,8 @@ const Popup = (() => {
       console.log("init() - pausing auto on popup startup");
       chrome.tabs.sendMessage(tabs[0].id, {receiver: "contentscript", greeting: "performAction", action: "auto", caller: "popupClickActionButton"});
     }
-    // Show interface message snackbars if enabled or if save/whitelist/database found. Type is used in both types of snackbars
-    const type = instance.saveFound ? "Saved URL" : instance.whitelistFound ? "Whitelisted URL" : instance.databaseFound ? "Database URL" : undefined;
+    // Show interface message snackbars if enabled or if save/whitelist/database/microformat found. Type is used in both types of snackbars
+    const type = instance.saveFound ? "Saved URL" : instance.whitelistFound ? "Whitelisted URL" : instance.databaseFound ? "Database URL" : instance.microformatFound ? "Microformat URL" : undefined;
     if (instance.enabled) {
       if (items.interfaceMessages) {
         const snackbar = MDC.snackbars.get("popup-activated-snackbar");
@@ -204,7 +211,7 @@ const Popup = (() => {
         }
         snackbar.open();
       }
-    } else if (instance.saveFound || instance.whitelistFound || instance.databaseFound) {
+    } else if (instance.saveFound || instance.whitelistFound || instance.databaseFound || instance.microformatFound) {
       setTimeout(() => {
         const snackbar = MDC.snackbars.get("popup-found-snackbar");
         // Can't make snackbar timeoutMs lower than 4000... snackbar.timeoutMs = 4000;
@@ -297,7 +304,7 @@ const Popup = (() => {
   }
 
   /**
-   * Called when the append mode (Page, Iframe, Element, Media, None) is changed.
+   * Called when the append mode (Page, Iframe, Element, Media, None, Keep) is changed.
    * Changes the Setup window so that the appropriate append mode controls are in view.
    *
    * @private
@@ -562,6 +569,7 @@ const Popup = (() => {
     DOM["#whitelist-icon-title"].textContent = instance.whitelistFound && instance.saveURL ? chrome.i18n.getMessage("whitelist_icon_title")  + " " + instance.saveURL : "";
     DOM["#database-icon"].style.display = !instance.saveFound && !instance.whitelistFound && instance.databaseFound ? "" : "none";
     DOM["#database-icon-title"].textContent = instance.databaseFound && instance.databaseURL ? chrome.i18n.getMessage("database_icon_title") + " " + instance.databaseURL : "";
+    DOM["#microformat-icon"].style.display = !instance.saveFound && !instance.whitelistFound && !instance.databaseFound && instance.microformatFound ? "" : "none";
     DOM["#auto-slideshow-icon"].style.display = instance.autoEnabled && instance.autoSlideshow ? "" : "none";
     DOM["#shuffle-urls-icon"].style.display = instance.enabled && instance.shuffleURLs ? "" : "none";
     DOM["#down-button"].style.display = "";
@@ -646,17 +654,27 @@ const Popup = (() => {
     DOM["#scroll-element-iframe-input"].checked = instance.scrollElementIframe;
     // Scripts and Styles Setup
     DOM["#scroll-append-scripts-input"].checked = instance.scrollAppendScripts;
+    DOM["#scroll-append-scripts-allow-textarea"].value = instance.scrollAppendScriptsAllow || "";
+    DOM["#scroll-append-scripts-deny-textarea"].value = instance.scrollAppendScriptsDeny || "";
+    DOM["#scroll-append-scripts-lists"].className = instance.scrollAppendScripts ? "display-block" : "display-none";
     DOM["#scroll-append-styles-input"].checked = instance.scrollAppendStyles;
     DOM["#scroll-append-custom-styles-input"].checked = instance.scrollAppendCustomStyles;
     DOM["#scroll-append-custom-styles-textarea"].value = instance.scrollAppendCustomStylesValue;
     DOM["#scroll-append-custom-styles"].className = instance.scrollAppendCustomStyles ? "display-block" : "display-none";
+    DOM["#custom-scripts-rules-textarea"].value = instance.customScriptsRules && instance.customScriptsRules.length > 0 ? JSON.stringify(instance.customScriptsRules, null, 2) : "";
     DOM["#scroll-lazy-load-input"].checked = instance.scrollLazyLoad;
     DOM["#scroll-lazy-load"].className = instance.scrollLazyLoad ? "display-inline" : "display-none";
     DOM["#scroll-lazy-load-mode-auto"].checked = instance.scrollLazyLoadMode !== "manual";
     DOM["#scroll-lazy-load-mode-manual"].checked = instance.scrollLazyLoadMode === "manual";
     DOM["#scroll-lazy-load-attribute"].className = instance.scrollLazyLoadMode === "manual" ? "display-block" : "display-none";
-    DOM["#scroll-lazy-load-attribute-source-input"].value = instance.scrollLazyLoadAttributeSource;
-    DOM["#scroll-lazy-load-attribute-destination-input"].value = instance.scrollLazyLoadAttributeDestination;
+    // Instances that were saved before there could be more than one mapping only have the single source and destination pair
+    DOM["#scroll-lazy-load-attributes-textarea"].value = (instance.scrollLazyLoadAttributes && instance.scrollLazyLoadAttributes.length > 0 ? instance.scrollLazyLoadAttributes : [{ source: instance.scrollLazyLoadAttributeSource, destination: instance.scrollLazyLoadAttributeDestination }]).map(mapping => mapping.source + " > " + mapping.destination).join("\n");
+    DOM["#page-commands-input"].checked = instance.pageCommandsEnabled;
+    DOM["#scroll-container-rule-input"].value = instance.scrollContainerRule || "";
+    DOM["#scroll-container-type-selector"].checked = instance.scrollContainerType !== "xpath";
+    DOM["#scroll-container-type-xpath"].checked = instance.scrollContainerType === "xpath";
+    DOM["#scroll-max-pages-input"].value = instance.scrollMaxPages || 0;
+    DOM["#scroll-prepend-input"].checked = instance.scrollPrepend;
     // If minimal (e.g. just switching from controls to setup), no need to recalculate the below again, so just return
     if (minimal) {
       return;
@@ -756,6 +774,82 @@ const Popup = (() => {
     }
   }
 
+  /**
+   * Handles the click event of an Element Picker button. Sends a message to the content script to start picking the
+   * element the button is for and closes the popup so the user can interact with the page.
+   *
+   * @private
+   */
+  async function startPicker() {
+    const picker = this.dataset.picker;
+    const radio = picker === "element" || picker === "insert" ? "scroll-element" : picker;
+    const type = DOM["#" + radio + "-type-xpath"].checked ? "xpath" : "selector";
+    console.log("startPicker() - picker=" + picker + ", type=" + type);
+    await Promisify.tabsSendMessage(tabs[0].id, {receiver: "contentscript", greeting: "startPicker", picker: picker, type: type});
+    window.close();
+  }
+
+  /**
+   * Handles the click event of the Auto Detect button. Asks the content script to detect the page elements and fills in
+   * the page element rule and insert before rule with the proposed rules, along with how confident the detection is.
+   *
+   * @private
+   */
+  async function detectScrollElement() {
+    const response = await Promisify.tabsSendMessage(tabs[0].id, {receiver: "contentscript", greeting: "detectScrollElement"});
+    console.log("detectScrollElement() - response=" + JSON.stringify(response));
+    DOM["#scroll-element-detect-result"].style.display = "block";
+    if (response && response.found) {
+      DOM["#scroll-element-type-selector"].checked = response.scrollElementType === "selector";
+      DOM["#scroll-element-type-xpath"].checked = response.scrollElementType === "xpath";
+      DOM["#scroll-element-rule-input"].value = response.scrollElementRule;
+      DOM["#scroll-element-insert-rule-input"].value = response.scrollElementInsertRule;
+      DOM["#scroll-element-detect-result"].textContent = chrome.i18n.getMessage("scroll_element_detect_result_success").replace("?1", response.elementsLength).replace("?2", response.confidence);
+      checkScrollElement(false);
+    } else {
+      DOM["#scroll-element-detect-result"].textContent = chrome.i18n.getMessage("scroll_element_detect_result_error");
+    }
+    MDC.layout();
+  }
+
+  /**
+   * Applies the result of the Element Picker to the instance. The result contains both a selector and an xpath for
+   * the picked element; the one that matches the rule's current type is used.
+   *
+   * @param result the picker result containing the picker, type, selector, and xpath
+   * @private
+   */
+  function applyPickerResult(result) {
+    console.log("applyPickerResult() - result=" + JSON.stringify(result));
+    switch (result.picker) {
+      case "next":
+      case "prev":
+        instance[result.picker + "Selector"] = result.selector;
+        instance[result.picker + "Xpath"] = result.xpath;
+        instance[result.picker + "Type"] = result.type;
+        // Switch to the action that uses the picked link (a picked prev link switches to the prev action, not next)
+        if (instance.scrollAction !== "next" && instance.scrollAction !== "prev") {
+          instance.scrollAction = result.picker;
+        }
+        break;
+      case "button":
+        instance.buttonType = result.type;
+        instance.buttonRule = result.type === "xpath" ? result.xpath : result.selector;
+        instance.scrollAction = "button";
+        break;
+      case "element":
+        instance.scrollElementType = result.type;
+        instance.scrollElementRule = result.type === "xpath" ? result.xpath : result.selector;
+        if (instance.scrollAppend !== "element" && instance.scrollAppend !== "keep") {
+          instance.scrollAppend = "element";
+        }
+        break;
+      case "insert":
+        instance.scrollElementInsertRule = instance.scrollElementType === "xpath" ? result.xpath : result.selector;
+        break;
+    }
+  }
+
   /**
    * Updates the ETA for Auto based on the times and seconds. This is called multiple times, thus this helper function.
    *
@@ -842,13 +936,13 @@ const Popup = (() => {
     // Save Default Settings
     // Note: We only save action and append mode settings if items.dynamicSettings is enabled
     // Note: Next Link and Increment URL settings aren't currently saved because their defaults can be set in the Options
-    // Note: Only save scrollAppend and scrollElement settings if this is NOT a database URL and the scroll append is element. We only want to save these settings if we're 100% sure the user has manually set this append mode
-    const saveElement = items.dynamicSettings && !instance.databaseFound && instance.scrollAppend === "element";
+    // Note: Only save scrollAppend and scrollElement settings if this is NOT a database or microformat URL and the scroll append is element. We only want to save these settings if we're 100% sure the user has manually set this append mode
+    const saveElement = items.dynamicSettings && !instance.databaseFound && !instance.microformatFound && instance.scrollAppend === "element";
     chrome.storage.local.set({
       // Scroll
       "scrollAction": items.dynamicSettings ? instance.scrollAction : items.scrollAction,
-      // Note: We don't want to save the scrollAppend to be element if this is a database url
-      "scrollAppend": items.dynamicSettings && !instance.databaseFound ? instance.scrollAppend : items.scrollAppend,
+      // Note: We don't want to save the scrollAppend to be element if this is a database or microformat url
+      "scrollAppend": items.dynamicSettings && !instance.databaseFound && !instance.microformatFound ? instance.scrollAppend : items.scrollAppend,
       "scrollWrapFirstPage": items.dynamicSettings ? instance.scrollWrapFirstPage : items.scrollWrapFirstPage,
       "scrollHeightWait": items.dynamicSettings ? instance.scrollHeightWait : items.scrollHeightWait,
       "scrollMediaType": items.dynamicSettings ? instance.scrollMediaType : items.scrollMediaType,
@@ -935,13 +1029,32 @@ const Popup = (() => {
       _.scrollElementIframe = DOM["#scroll-element-iframe-input"].checked;
       _.scrollMediaType = MDC.selects.get("scroll-media-type-select").value;
       _.scrollAppendScripts = DOM["#scroll-append-scripts-input"].checked;
+      _.scrollAppendScriptsAllow = DOM["#scroll-append-scripts-allow-textarea"].value;
+      _.scrollAppendScriptsDeny = DOM["#scroll-append-scripts-deny-textarea"].value;
       _.scrollAppendStyles = DOM["#scroll-append-styles-input"].checked;
       _.scrollAppendCustomStyles = DOM["#scroll-append-custom-styles-input"].checked;
       _.scrollAppendCustomStylesValue = DOM["#scroll-append-custom-styles-textarea"].value;
+      // If the custom scripts' rules aren't valid JSON, they're set to undefined so that setupErrors() shows an error for them
+      try {
+        _.customScriptsRules = DOM["#custom-scripts-rules-textarea"].value.trim() ? JSON.parse(DOM["#custom-scripts-rules-textarea"].value) : [];
+      } catch(e) {
+        _.customScriptsRules = undefined;
+      }
       _.scrollLazyLoad = DOM["#scroll-lazy-load-input"].checked;
       _.scrollLazyLoadMode = DOM["#scroll-lazy-load-mode-manual"].checked ? DOM["#scroll-lazy-load-mode-manual"].value : DOM["#scroll-lazy-load-mode-auto"].value;
-      _.scrollLazyLoadAttributeSource = DOM["#scroll-lazy-load-attribute-source-input"].value;
-      _.scrollLazyLoadAttributeDestination = DOM["#scroll-lazy-load-attribute-destination-input"].value;
+      // Each line is a mapping of a source attribute to a destination attribute (e.g. "data-srcset > srcset"). Lines that aren't mappings are set to undefined so that setupErrors() shows an error for them
+      _.scrollLazyLoadAttributes = DOM["#scroll-lazy-load-attributes-textarea"].value.split(/\r?\n/).filter(line => line.trim()).map(line => {
+        const mapping = /^\s*([^\s>]+)\s*>\s*([^\s>]+)\s*$/.exec(line);
+        return mapping ? { source: mapping[1], destination: mapping[2] } : undefined;
+      });
+      // The first mapping is also the single source and destination pair for compatibility
+      _.scrollLazyLoadAttributeSource = _.scrollLazyLoadAttributes[0] ? _.scrollLazyLoadAttributes[0].source : "";
+      _.scrollLazyLoadAttributeDestination = _.scrollLazyLoadAttributes[0] ? _.scrollLazyLoadAttributes[0].destination : "";
+      _.pageCommandsEnabled = DOM["#page-commands-input"].checked;
+      _.scrollContainerRule = DOM["#scroll-container-rule-input"].value.trim();
+      _.scrollContainerType = DOM["#scroll-container-type-xpath"].checked ? DOM["#scroll-container-type-xpath"].value : DOM["#scroll-container-type-selector"].value;
+      _.scrollMaxPages = +DOM["#scroll-max-pages-input"].value || 0;
+      _.scrollPrepend = DOM["#scroll-prepend-input"].checked;
     }
     if (caller === "multi") {
       const range = /\[(.*)-(\d+)]/.exec(_.selection);
@@ -1020,7 +1133,10 @@ const Popup = (() => {
     // Scroll Errors
     if (caller === "accept") {
       if (_.scrollAppend === "media" && _.scrollAction !== "increment" && _.scrollAction !== "decrement" && _.scrollAction !== "list") { errors.push(chrome.i18n.getMessage("scroll_append_media_action_error")); }
-      if (_.scrollAppend === "keep") { errors.push(chrome.i18n.getMessage("scroll_append_keep_error")); }
+      if (_.scrollAppend === "keep" && !_.scrollElementRule) { errors.push(chrome.i18n.getMessage("scroll_append_keep_rule_error")); }
+      if (_.scrollMaxPages < 0 || _.scrollMaxPages > 10000) { errors.push(chrome.i18n.getMessage("scroll_max_pages_error")); }
+      if (Scripts.validate(_.customScriptsRules)) { errors.push(Scripts.validate(_.customScriptsRules)); }
+      if (_.scrollLazyLoad && _.scrollLazyLoadMode === "manual" && (_.scrollLazyLoadAttributes.length === 0 || _.scrollLazyLoadAttributes.includes(undefined))) { errors.push(chrome.i18n.getMessage("scroll_lazy_load_attributes_error")); }
     }
     // Auto Errors
     if (_.autoEnabled) {
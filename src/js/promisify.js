@@ -16,15 +16,15 @@ const Promisify = (() => {
   /**
    * Gets the storage items via a promise-based wrapper for async/await callers.
    *
-   * @param key       (optional) the storage item key to get or null for all items
+   * @param key       (optional) the storage item key to get, an array of keys to get, or null for all items
    * @param namespace (optional) the storage namespace, either "local" or "sync"
-   * @returns {Promise<{}>} the storage items
+   * @returns {Promise<{}>} the storage item (if a key was specified) or the storage items
    * @public
    */
   function storageGet(key = null, namespace = "local") {
     return new Promise(resolve => {
       chrome.storage[namespace].get(key, items => {
-        key ? resolve(items[key]) : resolve(items);
+        typeof key === "string" ? resolve(items[key]) : resolve(items);
       });
     });
   }
@@ -156,17 +156,20 @@ const Promisify = (() => {
    * @param url          the url to make the request to
    * @param method       the HTTP request method, e.g. "GET"
    * @param responseType the request's response type, e.g. "document" ("text" is the default if not specified in XHR)
+   * @param details      (optional) the details object to store the response's status and URL (after any redirects) in
    * @returns {Promise<>} the response
    * @public
    */
-  function xhr(url, method = "GET", responseType = "document") {
+  function xhr(url, method = "GET", responseType = "document", details = {}) {
     console.log("xhr() - method=" + method + ", responseType=" + responseType + ", url=" + url);
     return new Promise((resolve, reject) => {
       const request = new XMLHttpRequest();
       request.open(method, url);
       request.responseType = responseType;
       request.onload = function(event) {
-        console.log("xhr() onload() - request.response=" + request.response);
+        console.log("xhr() onload() - request.status=" + request.status + ", request.response=" + request.response);
+        details.status = request.status;
+        details.url = request.responseURL;
         resolve(request.response);
       };
       request.onerror = function() {
@@ -33,13 +33,38 @@ const Saves = (() => {
     // const version = typeof chrome !== "undefined" && chrome.runtime && chrome.runtime.getManifest() && chrome.runtime.getManifest().version ? chrome.runtime.getManifest().version : "";
     const version = "0.6";
     // Create the save object
-    const save = {
+    const save = createSave(instance, id, version);
+    console.log("addSave() - generated save=" + JSON.stringify(save));
+    // Unshift adds the save to the beginning of the saves array; then we sort it by order and date and save in storage
+    saves.unshift(save);
+    // We always sort URLs by order (type e.g . regex), then length to allow for more specific URL patterns to be found before more general URL patterns
+    saves.sort((a, b) => (a.order > b.order) ? 1 : (a.order === b.order) ? ((a.url && b.url && a.url.length < b.url.length) ? 1 : -1) : -1);
+    await Promisify.storageSet({"saves": saves});
+    // Return the save in order for the caller to get the newly generated saveID (to be stored into the instance)
+    return save;
+  }
+
+  /**
+   * Creates a save object from the instance's properties. These are the only properties that a save will ever contain.
+   *
+   * @param instance the instance properties
+   * @param id       the ID of the save
+   * @param version  the version of the save
+   * @returns {{}} the save object
+   * @private
+   */
+  function createSave(instance, id, version) {
+    return {
       "id": id, "type": instance.saveType, "url": instance.saveURL, "title": instance.saveTitle, "date": new Date().toJSON(), "decodeURIEnabled": instance.decodeURIEnabled,
       "order": instance.saveType === "exact" ? 1 : instance.saveType === "pattern" ? 2 : instance.saveType === "regex" ? 3 : -1,
       "scrollAction": instance.scrollAction, "scrollAppend": instance.scrollAppend,
-      "scrollAppendScripts": instance.scrollAppendScripts, "scrollAppendStyles": instance.scrollAppendStyles, "scrollAppendCustomStyles": instance.scrollAppendCustomStyles, "scrollAppendCustomStylesValue": instance.scrollAppendCustomStylesValue,
-      "scrollLazyLoad": instance.scrollLazyLoad, "scrollLazyLoadMode": instance.scrollLazyLoadMode, "scrollLazyLoadAttributeSource": instance.scrollLazyLoadAttributeSource, "scrollLazyLoadAttributeDestination": instance.scrollLazyLoadAttributeDestination,
-      "scrollElementRule": instance.scrollElementRule, "scrollElementInsertRule": instance.scrollElementInsertRule, "scrollElementType": instance.scrollElementType, "scrollElementIframe": instance.scrollElementIframe,
+      "scrollAppendScripts": instance.scrollAppendScripts, "scrollAppendScriptsAllow": instance.scrollAppendScriptsAllow, "scrollAppendScriptsDeny": instance.scrollAppendScriptsDeny, "scrollAppendStyles": instance.scrollAppendStyles, "scrollAppendCustomStyles": instance.scrollAppendCustomStyles, "scrollAppendCustomStylesValue": instance.scrollAppendCustomStylesValue,
+      "scrollLazyLoad": instance.scrollLazyLoad, "scrollLazyLoadMode": instance.scrollLazyLoadMode, "scrollLazyLoadAttributeSource": instance.scrollLazyLoadAttributeSource, "scrollLazyLoadAttributeDestination": instance.scrollLazyLoadAttributeDestination, "scrollLazyLoadAttributes": Array.isArray(instance.scrollLazyLoadAttributes) ? instance.scrollLazyLoadAttributes : [],
+      "pageCommandsEnabled": !!instance.pageCommandsEnabled,
+      "customScriptsRules": Array.isArray(instance.customScriptsRules) ? instance.customScriptsRules : [],
+      "scrollContainerRule": instance.scrollContainerRule || "", "scrollContainerType": instance.scrollContainerType || "selector",
+      "scrollMaxPages": instance.scrollMaxPages > 0 ? instance.scrollMaxPages : 0, "scrollPrepend": !!instance.scrollPrepend,
+      "scrollElementRule": instance.scrollElementRule, "scrollElementInsertRule": instance.scrollElementInsertRule, "scrollElementType": instance.scrollElementType, "scrollElementIframe": instance.scrollAppend !== "keep" && instance.scrollElementIframe,
       "scrollMediaType": instance.scrollMediaType, "scrollWrapFirstPage": instance.scrollWrapFirstPage, "scrollHeightWait": instance.scrollHeightWait,
       "nextType": instance.nextType, "nextSelector": instance.nextSelector, "nextXpath": instance.nextXpath, "nextProperty": instance.nextProperty, "nextKeywordsEnabled": instance.nextKeywordsEnabled,
       "prevType": instance.prevType, "prevSelector": instance.prevSelector, "prevXpath": instance.prevXpath, "prevProperty": instance.prevProperty, "prevKeywordsEnabled": instance.prevKeywordsEnabled,
@@ -52,14 +77,87 @@ const Saves = (() => {
       "shuffleURLs": instance.shuffleURLs, "shuffleLimit": instance.shuffleLimit,
       "version": version
     };
-    console.log("addSave() - generated save=" + JSON.stringify(save));
-    // Unshift adds the save to the beginning of the saves array; then we sort it by order and date and save in storage
-    saves.unshift(save);
+  }
+
+  /**
+   * Validates a save (e.g. one that was imported from a JSON file) against the properties that addSave writes.
+   * Unknown properties are removed, and the save is rejected if it's missing a valid URL, type, action, or append, or if
+   * its custom scripts rules are invalid.
+   *
+   * @param save the save to validate
+   * @returns {{}|undefined} the validated save, or undefined if it is invalid
+   * @public
+   */
+  function validateSave(save) {
+    if (!save || typeof save !== "object" || Array.isArray(save)) {
+      return undefined;
+    }
+    if (typeof save.url !== "string" || !save.url.trim() || !["exact", "pattern", "regex"].includes(save.type) ||
+        !["next", "prev", "increment", "decrement", "button", "list"].includes(save.scrollAction) ||
+        !["page", "iframe", "element", "media", "none", "keep"].includes(save.scrollAppend)) {
+      console.log("validateSave() - invalid save, url=" + save.url + ", type=" + save.type + ", scrollAction=" + save.scrollAction + ", scrollAppend=" + save.scrollAppend);
+      return undefined;
+    }
+    if (save.customScriptsRules !== undefined && Scripts.validate(save.customScriptsRules)) {
+      console.log("validateSave() - invalid custom scripts rules, url=" + save.url + ", error=" + Scripts.validate(save.customScriptsRules));
+      return undefined;
+    }
+    const validated = {};
+    for (const key of Object.keys(createSave({}, 0, ""))) {
+      if (Object.prototype.hasOwnProperty.call(save, key)) {
+        validated[key] = save[key];
+      }
+    }
+    // The order is always derived from the type and the date must be a valid date
+    validated.order = validated.type === "exact" ? 1 : validated.type === "pattern" ? 2 : 3;
+    validated.date = validated.date && !isNaN(new Date(validated.date)) ? validated.date : new Date().toJSON();
+    return validated;
+  }
+
+  /**
+   * Imports saves (e.g. from a JSON file) and merges them with the existing saves by URL.
+   *
+   * There are three ways to merge an imported save whose URL has already been saved:
+   * 1. skip      - The existing save is kept and the imported save is ignored
+   * 2. overwrite - The existing save is replaced by the imported save, keeping the existing save's ID
+   * 3. keep      - Both saves are kept
+   *
+   * Note: The imported saves should already have been migrated to the current version by Storage.restore.
+   *
+   * @param imports the imported saves array
+   * @param mode    the merge mode ("skip", "overwrite", or "keep")
+   * @returns {Promise<{}>} the result containing the number of added, overwritten, skipped, and invalid saves
+   * @public
+   */
+  async function importSaves(imports, mode) {
+    console.log("importSaves() - imports.length=" + (imports ? imports.length : 0) + ", mode=" + mode);
+    const result = { added: 0, overwritten: 0, skipped: 0, invalid: 0 };
+    const saves = await Promisify.storageGet("saves") || [];
+    let id = saves.length > 0 ? Math.max.apply(Math, saves.map(s => s.id)) : 0;
+    for (const save of Array.isArray(imports) ? imports : []) {
+      const validated = validateSave(save);
+      if (!validated) {
+        result.invalid++;
+        continue;
+      }
+      const index = saves.findIndex(s => s && s.url === validated.url);
+      if (index !== -1 && mode === "skip") {
+        result.skipped++;
+      } else if (index !== -1 && mode === "overwrite") {
+        validated.id = saves[index].id;
+        saves[index] = validated;
+        result.overwritten++;
+      } else {
+        validated.id = ++id;
+        saves.push(validated);
+        result.added++;
+      }
+    }
     // We always sort URLs by order (type e.g . regex), then length to allow for more specific URL patterns to be found before more general URL patterns
     saves.sort((a, b) => (a.order > b.order) ? 1 : (a.order === b.order) ? ((a.url && b.url && a.url.length < b.url.length) ? 1 : -1) : -1);
     await Promisify.storageSet({"saves": saves});
-    // Return the save in order for the caller to get the newly generated saveID (to be stored into the instance)
-    return save;
+    console.log("importSaves() - result=" + JSON.stringify(result));
+    return result;
   }
 
   /**
@@ -243,6 +341,8 @@ const Saves = (() => {
   return {
     addSave,
     deleteSave,
+    validateSave,
+    importSaves,
     matchesSave,
     matchesList
   };
@@ -37,11 +37,13 @@ const Scroll = (() => {
    * @param PAGE_STYLE           the css that is used for Append Page
    * @param IFRAME_STYLE         the css that is used for Append Iframe
    * @param MEDIA_STYLE          the css that is used for Append Media
+   * @param PLACEHOLDER_STYLE    the css that is used for the placeholders of recycled pages
    * @param COLOR                the css color that is used for various styles, like the infinity icon and page divider
    * @param instance             the instance object that contains all the properties for this page (such as URL and the action)
    * @param items                the storage items cache containing the user's options
    * @param pages                the pages array that contains a reference to each appended page in the DOM
    * @param document_            the cloned full document for the current (latest) page that is being observed; we need a reference to the newly appended page's document
+   * @param documentURL_         the URL the cloned document_ was actually fetched from (e.g. after a redirect), which its relative URLs are resolved against
    * @param document__           the live modified document for the current (latest) page that is being observed; we need a reference to the newly appended page's document
    * @param insert_              the insertion point is only used in append element mode and is the point at the bottom of the content to start inserting more elements
    * @param elements_            the elements to keep track of in Append Keep mode
@@ -54,18 +56,30 @@ const Scroll = (() => {
    * @param scrollListener       the scroll listener callback function that fires every time the user scrolls. It calls the reusable scrollDetection function. Note this is written as a variable instead of a function due to the tricky way event listeners work
    * @param intersectionObserver the intersection observer object that observes elements in Intersection Observer mode (not the callback function)
    * @param mutationObserver     the mutation observer object that observes the mutations in Append Keep mode
+   * @param container            the scroll container element that scrolls instead of the window (only if the instance has a scroll container rule)
+   * @param prefetches           the look-ahead buffer of the next documents that are being prefetched, mapped by their URLs
+   * @param prefetchController   the abort controller of the fetches in the look-ahead buffer, used to cancel them when the buffer is discarded
+   * @param prefetchCount        the number of times the look-ahead buffer has been filled, used so that only the latest fill updates the buffer
+   * @param fetchError           the classified error of the last next document that couldn't be fetched (network, http, parse, or empty)
+   * @param failure              the inline retry/stop control that is shown in place of the page that couldn't be appended
+   * @param pageNavigator        (optional) the page navigator element that lists all the pages, letting the user jump to, open, collapse, or remove them
+   * @param top_                 the state of the top (first) page that is used to find the previous page when prepending: its document, a copy of the instance at that page, and whether there are no more pages to prepend
+   * @param scripts              the keys of the scripts that have already been executed on this page (external scripts by their URLs and inline scripts by a hash of their content) so that each script is only executed once
+   * @param scriptsQueue         the promise chain of the pages' scripts that are being executed, so that each page's scripts are executed after the previous page's scripts
    */
   const PAGE_STYLE = "display: block; visibility: visible; float: none; clear: both; width: auto; height: auto; background: initial; border: 0; border-radius: 0; margin: 0 0 2rem 0; padding: 0; z-index: 2147483647;";
   const IFRAME_STYLE = "display: block; visibility: visible; float: none; clear: both; width: 100%; height: 0; background: initial; border: 0; border-radius: 0; margin: 0 0 2rem 0; padding: 0; z-index: 2147483647; overflow: hidden;";
   const MEDIA_STYLE = "display: flex; visibility: visible; float: none; clear: both; width: auto; height: auto; background: initial; border: 0; border-radius: 0; margin: 2rem auto; padding: 0; z-index: 2147483647;";
+  const PLACEHOLDER_STYLE = "visibility: hidden; float: none; clear: both; width: 100%; background: initial; border: 0; border-radius: 0; margin: 0; padding: 0; grid-column: 1 / -1; flex-basis: 100%;";
   const COLOR = "#55555F";
   let instance;
   let items;
   let pages = [];
   let document_ = document;
+  let documentURL_;
   let document__;
   let insert_;
-  // let elements_;
+  let elements_ = [];
   let lazys;
   let offset = 0;
   let loading;
@@ -74,7 +88,17 @@ const Scroll = (() => {
   // let timeouts = {};
   let scrollListener;
   let intersectionObserver;
-  // let mutationObserver;
+  let mutationObserver;
+  let container;
+  let prefetches = new Map();
+  let prefetchController;
+  let prefetchCount = 0;
+  let fetchError;
+  let failure;
+  let top_;
+  let pageNavigator;
+  let scripts;
+  let scriptsQueue = Promise.resolve();
 
   /**
    * Gets an object with properties to debug, such as the insertion point element in Append Element mode.
@@ -85,7 +109,7 @@ const Scroll = (() => {
    * @debug
    */
   function debug() {
-    return { insert: insert_, lazys: lazys };
+    return { insert: insert_, lazys: lazys, scripts: scripts };
   }
 
   /**
@@ -150,14 +174,14 @@ const Scroll = (() => {
     // TODO: Add IO support for button by observing the button element?
     if (items.scrollDetection === "io" && instance.scrollAction !== "button") {
       // Observer rootMargin '0px 0px -99%' will only trigger when the top of the next page has been intersected. Use 0% or 1% to intersect the earliest (when any part of the next page is on the screen)
-      intersectionObserver = new IntersectionObserver(intersectionObserverCallback, { root: null, rootMargin: '0px 0px 1%', threshold: 0});
+      intersectionObserver = new IntersectionObserver(intersectionObserverCallback, { root: getScrollContainer() || null, rootMargin: '0px 0px 1%', threshold: 0});
       // Need this for loop to 1) observe the first page due to prepareFirstPage() being called before the intersectionObserver is made, and 2) when re-enabling an instance after a stop
       for (const page of pages) {
         intersectionObserver.observe(page.point);
       }
     } else {
       // Scroll Listener passive should already be the default on scroll events
-      window.addEventListener("scroll", scrollListener, { passive: true });
+      (getScrollContainer() || window).addEventListener("scroll", scrollListener, { passive: true });
     }
   }
 
@@ -174,7 +198,62 @@ const Scroll = (() => {
       intersectionObserver = undefined;
     } else {
       window.removeEventListener("scroll", scrollListener);
+      if (container) {
+        container.removeEventListener("scroll", scrollListener);
+      }
+    }
+  }
+
+  /**
+   * Gets the scroll container. Some websites (namely web apps) don't scroll the window, but instead scroll an inner
+   * element (e.g. a div with overflow: auto). If the instance has a scroll container rule, the scroll detection,
+   * threshold calculations, and overlay all operate relative to the element it finds instead of the window.
+   *
+   * Note: The element is cached until it's removed from the document (e.g. the web app re-renders it).
+   *
+   * @returns {Element} the scroll container, or undefined if the window is what scrolls
+   * @private
+   */
+  function getScrollContainer() {
+    if (!instance || !instance.scrollContainerRule) {
+      return undefined;
+    }
+    if (!container || !container.isConnected) {
+      try {
+        container = instance.scrollContainerType === "xpath" ?
+          document.evaluate(instance.scrollContainerRule, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue :
+          document.querySelector(instance.scrollContainerRule);
+      } catch(e) {
+        console.log("getScrollContainer() - error finding the scroll container, error=" + e);
+        container = undefined;
+      }
+      console.log("getScrollContainer() - scrollContainerRule=" + instance.scrollContainerRule + ", container=" + (container ? container.nodeName : container));
     }
+    return container || undefined;
+  }
+
+  /**
+   * Gets the viewport that is being scrolled, which is either the window or the scroll container.
+   *
+   * @returns {{top: number, height: number, offset: number}} the scroll position (top), the visible height, and the distance from the top of the window (offset)
+   * @private
+   */
+  function getViewport() {
+    const scrollContainer = getScrollContainer();
+    return scrollContainer ?
+      { top: scrollContainer.scrollTop, height: scrollContainer.clientHeight, offset: scrollContainer.getBoundingClientRect().top } :
+      { top: window.scrollY, height: window.innerHeight, offset: 0 };
+  }
+
+  /**
+   * Gets the total height of what is being scrolled, which is either the document or the scroll container's content.
+   *
+   * @returns {number} the total height in pixels
+   * @private
+   */
+  function getScrollHeight() {
+    const scrollContainer = getScrollContainer();
+    return scrollContainer ? scrollContainer.scrollHeight : getTotalHeight(document);
   }
 
   /**
@@ -207,6 +286,7 @@ const Scroll = (() => {
    * It calls the following functions and determines the following logic:
    * 1. detectCurrentPage() - What the current page is as the user scrolls
    * 2. shouldAppend() - When a new page should be added
+   * 3. shouldPrepend() - When a previous page should be added above the first page
    *
    * @param entry (optional) if using Intersection Observer API, the entry (page) we are currently intersecting
    * @private
@@ -216,6 +296,8 @@ const Scroll = (() => {
     if (shouldAppend()) {
       instance.isLoading = true;
       Action.performAction(instance.scrollAction, "scrollDetection", instance, items, undefined, document_, document__);
+    } else if (shouldPrepend()) {
+      prepend();
     }
   }
 
@@ -233,9 +315,9 @@ const Scroll = (() => {
     let exists = true;
     let documentHeight = -1;
     if (!instance.scrollbarExists && instance.scrollbarAppends < 10) {
-      documentHeight = getTotalHeight(document);
+      documentHeight = getScrollHeight();
       // A scrollbar exists if the document's height is bigger than the window's height. TODO: Test this more e.g. > vs >=
-      exists = documentHeight > window.innerHeight;
+      exists = documentHeight > getViewport().height;
       // If a scrollbar exists, we will stop checking. Otherwise, we increment the appends value so we only append a max of 10 pages due to lack of scrollbar
       if (exists) {
         instance.scrollbarExists = true;
@@ -276,12 +358,13 @@ const Scroll = (() => {
    * @private
    */
   function scrolledNearBottomPixels() {
-    // This is the absolute bottom position (the total document's height)
-    const bottom = getTotalHeight(document);
+    // This is the absolute bottom position (the total document's height, or the scroll container's content height)
+    const bottom = getScrollHeight();
     // This is the actual bottom we care about. In all modes except Append Element mode, it's the same as the bottom. But in Append Element mode, we need to subtract the offset from the bottom. The offset is the space from the insertion point (the bottom of the elements) to the very bottom of the document. The offset is 0 in all other modes
     const contentBottom = bottom - offset;
     // This is the current position of the scrollbar. The scroll position can also be calculated to just be window.scrollY without the window.innerHeight and this would be the TOP position of the grayed portion of the scrollbar instead of its BOTTOM position
-    const scrollPosition = window.scrollY + window.innerHeight;
+    const viewport = getViewport();
+    const scrollPosition = viewport.top + viewport.height;
     // This is the amount of pixels left until reaching the bottom. Because JavaScript gives us precise subpixel values (e.g. decimal numbers like 1200.5) we will floor the value. This is useful when scrolling to the bottom of the document and ensuring a 0.5 is treated as 0
     const pixelsLeft = Math.floor(contentBottom - scrollPosition);
     // The user has scrolled near the bottom if the pixels left is less than or equal to the threshold (e.g. 1000 pixels)
@@ -303,7 +386,24 @@ const Scroll = (() => {
   function shouldAppend() {
     console.log("shouldAppend() - intersectionObserver=" + intersectionObserver + ", instance.isLoading=" + instance.isLoading);
     // Scrollbar Exists check only needs to occur when in Intersection Observer mode because the pixels checks this already implicitly
-    return instance.enabled && !instance.isLoading && !instance.autoEnabled && (intersectionObserver ? !scrollbarExists() || scrolledNearBottomPages() : scrolledNearBottomPixels());
+    return instance.enabled && !instance.isLoading && !instance.autoEnabled && !instance.scrollPaused && !instance.scrollEnded && (intersectionObserver ? !scrollbarExists() || scrolledNearBottomPages() : scrolledNearBottomPixels());
+  }
+
+  /**
+   * Determines if a previous page should be prepended above the first page. This is the reverse of shouldAppend() and
+   * is only possible if the instance has prepending enabled, the append mode is Page or Element, and the action can go
+   * backwards (the Next Link action uses the prev link and the Increment URL action decrements and vice versa).
+   *
+   * Note: Increment URL instances with a URLs array (shuffle or multi-range) can't go backwards, as stepping through the
+   * array always goes forward, so the "previous" page would be a later page.
+   *
+   * @returns {boolean} true if a previous page should be prepended, false otherwise
+   * @private
+   */
+  function shouldPrepend() {
+    return instance.scrollPrepend && instance.enabled && !instance.isLoading && !instance.autoEnabled && !instance.scrollPaused && top_ && !top_.ended && pages.length > 0 &&
+      (instance.scrollAppend === "page" || (instance.scrollAppend === "element" && !instance.scrollElementIframe)) && ["next", "prev", "increment", "decrement"].includes(instance.scrollAction) &&
+      !(instance.urls && instance.urls.length > 0) && (intersectionObserver ? instance.currentPage - 1 <= instance.scrollAppendThresholdPages : getViewport().top <= instance.scrollAppendThresholdPixels);
   }
 
   /**
@@ -320,8 +420,14 @@ const Scroll = (() => {
     for (const page of pages) {
       // Two Cases: If using Intersection Observer, check if element === page.point, else if Scroll Listener check isScrolledIntoView()
       if (page && page.point && (element ? element === page.point : isScrolledIntoView(page.point))) {
+        const changed = instance.currentPage !== page.number;
         instance.currentPage = page.number;
         console.log("detectCurrentPage() - page.number=" + page.number + ", page.url=" + page.url);
+        // Recycle the pages that are now far away and restore the pages that are now near (if the setting is enabled)
+        if (changed) {
+          recyclePages();
+          updateNavigator();
+        }
         // If this is not a local file URL, can update history or title
         if (!instance.isLocal) {
           // Check if the address bar (window.location.href) hasn't already been updated with this page's url to avoid unnecessarily setting it again
@@ -338,7 +444,7 @@ const Scroll = (() => {
         if (instance.scrollOverlay && overlay && overlay.children[1]) {
           overlay.children[1].textContent = "Page " + instance.currentPage + " / " + instance.totalPages;
           if (items.debugEnabled && overlay.children[2]) {
-            const bottom = getTotalHeight(document);
+            const bottom = getScrollHeight();
             const bottom075 = Math.floor(bottom * 0.75);
             const bottomOffset = bottom - offset;
             let bottomElements = "N/A";
@@ -357,6 +463,7 @@ const Scroll = (() => {
             details.children[7].textContent = "..075 bottom = " + bottom075;
             details.children[9].textContent = "......offset = " + offset;
             details.children[11].textContent = "lazys = " + (lazys ? (lazys.size + " " + [...new Set(lazys.values())]) : "n/a");
+            details.children[13].textContent = "recycled = " + pages.filter(p => p.placeholder).length + " / " + pages.length;
           }
         }
         break;
@@ -377,14 +484,18 @@ const Scroll = (() => {
     const rect = element.getBoundingClientRect();
     // The rect.height > 0 part allows us to ignore new pages that are still loading at the bottom that are about to be appended
     if (rect && rect.height > 0) {
+      // If there's a scroll container, the top and bottom need to be relative to it instead of the window
+      const viewport = getViewport();
+      const top = rect.top - viewport.offset;
+      const bottom = rect.bottom - viewport.offset;
       // The algorithm to detect if an element is in view depends on whether it is taller than the window or not
       // If element is taller than window... (Note: Math.round() because getBoundingClientRect return subpixel values with decimal places e.g. 409.99)
-      if (Math.round(rect.height) >= window.innerHeight) {
+      if (Math.round(rect.height) >= viewport.height) {
         // ...then check if element is partially visible
-        isInView = rect.top <= 1 && rect.bottom >= 0;
+        isInView = top <= 1 && bottom >= 0;
       } else {
         // ...else check if element is fully visible
-        isInView = rect.top >= -1 && rect.bottom <= window.innerHeight;
+        isInView = top >= -1 && bottom <= viewport.height;
       }
       // Don't print out console log statements unless it's in view to avoid cluttering console
       console.log(isInView ? "isScrolledIntoView() - element.id=" + element.id + ", isInView=" + isInView : "");
@@ -392,6 +503,25 @@ const Scroll = (() => {
     return isInView;
   }
 
+  /**
+   * Scrolls to a page, making it the current page. This is used by the Down and Up actions, the page navigator, and
+   * the page commands.
+   *
+   * @param number the page number to scroll to
+   * @returns {boolean} true if the page was scrolled to, false otherwise (e.g. there is no page or it was removed)
+   * @public
+   */
+  function scrollToPage(number) {
+    console.log("scrollToPage() - number=" + number);
+    const page = pages[number - 1];
+    if (!page || !page.point || typeof page.point.scrollIntoView !== "function") {
+      return false;
+    }
+    instance.currentPage = page.number;
+    page.point.scrollIntoView({behavior: instance.scrollBehavior, block: "start", inline: "start"});
+    return true;
+  }
+
   /**
    * Appends a new page using one of the append modes.
    *
@@ -400,13 +530,22 @@ const Scroll = (() => {
    */
   function append(caller) {
     console.log("append() - caller=" + caller + ", instance.url=" + instance.url + ", pages.length=" + (pages.length + 1));
+    // If the end of the pages was reached (a loop was detected or the max pages were appended), don't append anything else
+    if (instance.scrollEnded) {
+      console.log("append() - not appending because the end of the pages was reached");
+      if (pages.length > 0 && pages[pages.length - 1]) {
+        instance.url = pages[pages.length - 1].url;
+      }
+      instance.isLoading = false;
+      return;
+    }
     switch (instance.scrollAppend) {
       case "page":    appendDivider(); appendPage(caller);    appendLoading(); break;
       case "iframe":  appendDivider(); appendIframe(caller);  appendLoading(); break;
       case "element": appendDivider(); appendElement(caller); appendLoading(); break;
       case "media":   appendDivider(); appendMedia(caller);   appendLoading(); break;
       case "none":                     appendNone(caller);                     break;
-      // case "keep":    appendKeep(caller); appendDivider(); appendLoading();    break;
+      case "keep":                     appendKeep(caller);    appendLoading(); break;
       default:                                                                 break;
     }
   }
@@ -424,11 +563,17 @@ const Scroll = (() => {
     page.style = PAGE_STYLE;
     document.body.appendChild(page);
     const nextDocument = await getNextDocument();
+    if (!nextDocument) {
+      page.remove();
+      appendFinally("page", undefined, caller);
+      return;
+    }
     const fragment = document.createDocumentFragment();
-    nextDocument.body.querySelectorAll(":scope > *").forEach(element => fragment.appendChild(element));
+    const elements = [...nextDocument.body.querySelectorAll(":scope > *")];
+    elements.forEach(element => fragment.appendChild(element));
     page.appendChild(fragment);
     resizeMedia("page", page);
-    appendFinally("page", page, caller);
+    appendFinally("page", page, caller, elements);
     // TODO: Don't wrap the page in a div anymore. Use the code below and use getElementsByTreeWalker() to pick an element to be the observable page element
     // const nextDocument = await getNextDocument();
     // const fragment = document.createDocumentFragment();
@@ -498,9 +643,12 @@ const Scroll = (() => {
       }
       // TODO: This is a necessary compromise in append element mode; we have to clone the document in append element mode because we are modifying the document
       document_ = caller === "appendElement" ? iframe.contentDocument.cloneNode(true) : iframe.contentDocument;
+      documentURL_ = iframe.contentDocument.URL || instance.url;
       const iframeDocument = iframe.contentDocument;
       const html = iframeDocument.documentElement;
       const body = iframeDocument.body;
+      // Fix the iframe's document the same way as a fetched document before resizing the media and calculating the height, so the fixed images are accounted for while we wait for the height below
+      fixDocument(iframeDocument);
       resizeMedia("iframe", body);
       setLinksNewTab(iframeDocument);
       // Hybrid Element Iframe Mode - Filtering Elements
@@ -566,6 +714,10 @@ const Scroll = (() => {
       return;
     }
     const nextDocument = await getNextDocument();
+    if (!nextDocument) {
+      appendFinally("element", undefined, caller);
+      return;
+    }
     const fragment = document.createDocumentFragment();
     const elements = getElements(nextDocument);
     // TODO: Test resizeMedia() more in this mode before we calculate the welements (commented out code)
@@ -591,7 +743,7 @@ const Scroll = (() => {
     // We must calculate the insert element now before this function is called again and we get the next document
     insert_ = getInsertElement(elements, false);
     // resizeMedia("element", undefined, welements);
-    appendFinally("element", pageElement, caller);
+    appendFinally("element", pageElement, caller, elements);
   }
 
   /**
@@ -650,6 +802,12 @@ const Scroll = (() => {
       instance.isLoading = false;
       if (caller !== "prepareFirstPage") {
         instance.totalPages++;
+        // There's no page element in this mode as the website appends the content itself, so the event is on the document
+        triggerCustomEvent("infy-scroll-page-appended", document, {"page": instance.totalPages, "url": instance.url, "title": document.title, "mode": "none", "elementsLength": 0});
+        if (instance.scrollMaxPages > 0 && instance.totalPages >= instance.scrollMaxPages) {
+          endPages("max");
+          return;
+        }
       }
       if (instance.autoEnabled && caller !== "prepareFirstPage") {
         Auto.autoListener(instance);
@@ -660,95 +818,104 @@ const Scroll = (() => {
     }, caller === "auto" ? 100 : items.scrollAppendDelay);
   }
 
-  // TODO: Implement this new append mode for AJAX websites
-  // /**
-  //  * Keeps elements appended...
-  //  *
-  //  * @param caller
-  //  * @private
-  //  */
-  // async function appendKeep(caller) {
-  //   console.log("appendKeep()");
-  //   setTimeout(() => {
-  //     console.log("appendKeep() - timeout");
-  //     insert_ = getInsertElement(getElements(document), false);
-  //     appendDivider();
-
-  //     const fragment = document.createDocumentFragment();
-  //     // fragment_ = fragment;
-  //     // // Store all the elements before they get replaced by the next button action
-  //     // elements_ = getElements(document_);
-  //     // const elements = getElements(nextDocument);
-  //     // TODO: Test resizeMedia() more in this mode before we calculate the welements (commented out code)
-  //     // const welements = items.resizeMediaEnabled && nextDocument && nextDocument.body ? getElementsByTreeWalker(nextDocument.body, NodeFilter.SHOW_ELEMENT) : [];
-  //     elements_.forEach(element => fragment.appendChild(element));
-  //     // The insertion point may have been "moved" by the website and no longer have a parentNode, so we re-calculate it to be the last element
-  //     // if (!insert_ || !insert_.parentNode || insert_.ownerDocument !== document) {
-  //     //   console.log("appendElement() - the insertion point's hierarchy in the DOM was altered. " + (insert_ ? ("parentNode=" + insert_.parentNode + ", ownerDocument === document=" + (insert_.ownerDocument === document)) : "insert_ is undefined!"));
-  //     //   insert_ = getInsertElement(getElements(document), false);
-  //     // }
-
-  //     // TODO: This null check is bothersome. Should the application simply fail at this point and display an error message?
-  //     // if (insert_ && insert_.parentNode) {
-  //     //   insert_.parentNode.insertBefore(fragment, insert_);
-  //     //   // elements_.forEach(element => insert_.parentNode.insertBefore(element, insert_));
-  //     // }
-  //     // Calculate the page element now after the elements are appended (inserted before) so their heights are now accessible
-  //     let pageElement = getPageElement(elements_);
-  //     if (!pageElement) {
-  //       console.log("appendKeep() - no page element found, manually creating a span");
-  //       pageElement = document.createElement("span");
-  //       insert_.parentNode.insertBefore(pageElement, insert_);
-  //       elements_.unshift(pageElement);
-  //     }
-  //     // We must calculate the insert element now before this function is called again and we get the next document
-  //     // insert_ = getInsertElement(elements_, false);
-  //     // insert_ = getInsertElement(getElements(document), false);
-  //     // resizeMedia("element", undefined, welements);
-  //     appendFinally("keep", pageElement, caller);
-  //     // Store all the elements before they get replaced by the next button action
-  //     // // elements_ = getElements(document);
-  //     const elements__ = getElements(document);
-  //     elements__.forEach(el => elements_.add(el));
-  //   }, 10000);
-
-  // }
+  /**
+   * Keeps the elements that were on the page before the action (e.g. clicking a "Load More" button) from being replaced.
+   * Some AJAX websites replace their list of results instead of extending it, so the previous elements vanish. This
+   * mode waits for the website to finish mutating the DOM and then re-inserts any of the stored elements that were
+   * removed back before the new elements, with a divider in between them.
+   *
+   * @param caller who called this function
+   * @private
+   */
+  function appendKeep(caller) {
+    console.log("appendKeep() - caller=" + caller + ", elements_.length=" + elements_.length);
+    const parent = insert_ && insert_.parentNode ? insert_.parentNode : document.body;
+    // We wait until the website stops mutating the DOM for a second (or give up waiting after 10 seconds) before we re-insert the elements
+    const started = performance.now();
+    let timeout;
+    const finish = () => {
+      clearTimeout(timeout);
+      if (mutationObserver) {
+        mutationObserver.disconnect();
+      }
+      appendKeepFinally(caller);
+    };
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+    }
+    mutationObserver = new MutationObserver(() => {
+      clearTimeout(timeout);
+      timeout = setTimeout(finish, performance.now() - started >= 10000 ? 0 : 1000);
+    });
+    mutationObserver.observe(parent, { childList: true, subtree: true });
+    timeout = setTimeout(finish, 1000);
+  }
 
-  // function getElements_() {
-  //   return elements_;
-  // }
+  /**
+   * Performs the actual work for the Append Keep mode after the website has finished replacing its elements. The
+   * stored elements that the website removed are re-inserted at the insertion point, which is always the first new
+   * element on the page.
+   *
+   * @param caller who called this function
+   * @private
+   */
+  function appendKeepFinally(caller) {
+    const elements = getElements(document);
+    const kept = new Set(elements_);
+    const news = elements.filter(element => !kept.has(element));
+    const removed = elements_.filter(element => !element.isConnected);
+    console.log("appendKeepFinally() - elements.length=" + elements.length + ", news.length=" + news.length + ", removed.length=" + removed.length);
+    // If the website didn't add anything new, there is no new page to push, so we only need to reset the loading state
+    if (news.length <= 0) {
+      if (items.scrollLoading && loading && loading.style) {
+        loading.style.display = "none";
+      }
+      setTimeout(() => { instance.isLoading = false; }, caller === "auto" ? 100 : items.scrollAppendDelay);
+      return;
+    }
+    insert_ = getInsertElement(news, false);
+    if (removed.length > 0 && insert_ && insert_.parentNode) {
+      const fragment = document.createDocumentFragment();
+      removed.forEach(element => fragment.appendChild(element));
+      insert_.parentNode.insertBefore(fragment, insert_);
+    }
+    appendDivider();
+    // Calculate the page element now after the elements are re-inserted so their heights are accessible
+    let pageElement = getPageElement(news);
+    if (!pageElement && insert_ && insert_.parentNode) {
+      console.log("appendKeepFinally() - no page element found, manually creating a span");
+      pageElement = document.createElement("span");
+      insert_.parentNode.insertBefore(pageElement, insert_);
+    }
+    keepElements();
+    appendFinally("keep", pageElement, caller, news);
+  }
 
-  // function appendKeep2(mutations, observer) {
-  //   console.log("appendKeep2() - mutationObserver()");
-  //   // clearTimeout(timeouts.mutationObserver);
-  //   // timeouts.mutationObserver = setTimeout({
-  //   //
-  //   // }, 1000);
-  //   const fragment = document.createDocumentFragment();
-  //   // Array.from(elements_).reverse()
-  //   for (const el of elements_) {
-  //     if (!insert_.parentNode.contains(el)) {
-  //       fragment.appendChild(el);
-  //     }
-  //   }
-  //   insert_.parentNode.insertBefore(fragment, insert_);
-  //   // appendFinally("keep", pageElement, caller);
-  //   // const elements__ = getElements(document);
-  //   // elements__.forEach(el => elements_.add(el));
-  //   // for (const mutation of mutations) {
-  //   //   console.log("appendKeep2() - " + mutation.type + " ");
-  //   // }
-  // }
+  /**
+   * Stores (snapshots) the page elements that are currently on the page so that they can be re-inserted in case the
+   * website removes them. This is called before each action in Append Keep mode (e.g. before the button is clicked).
+   *
+   * @public
+   */
+  function keepElements() {
+    if (instance && instance.scrollAppend === "keep") {
+      // We also store each page's divider and element as the website may remove them along with the elements, and then sort them all in document order
+      const points = pages.flatMap(page => [page.divider, page.element]).filter(point => point && point.isConnected);
+      elements_ = [...new Set([...getElements(document), ...points])].sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+      console.log("keepElements() - elements_.length=" + elements_.length);
+    }
+  }
 
   /**
    * Performs all the finalization work for all append modes after the next page has been appended (except appendNone).
    *
-   * @param mode   the append mode, e.g. "page", "iframe", and so on
-   * @param el     the appended page to be stored in the pages array
-   * @param caller who called this function
+   * @param mode     the append mode, e.g. "page", "iframe", and so on
+   * @param el       the appended page to be stored in the pages array
+   * @param caller   who called this function
+   * @param elements (optional) the elements that were appended, defaults to just the el
    * @private
    */
-  function appendFinally(mode, el, caller) {
+  function appendFinally(mode, el, caller, elements = [el]) {
     console.log("appendFinally() - mode=" + mode + ", el=" + el + ", caller=" + caller);
     if (items.scrollLoading && loading && loading.style) {
       loading.style.display = "none";
@@ -762,13 +929,36 @@ const Scroll = (() => {
       if (divider && divider.remove) {
         divider.remove();
       }
-      // TODO: Should we stop at this point?
-      // instance.isLoading = false;
-      // Action.performAction("stop", "appendFinally", instance, items, undefined, document_, document__);
+      // If the next document couldn't be fetched, we show the failure control and keep isLoading true so that no more pages are appended until the user decides to retry or stop
+      if (fetchError) {
+        appendFailure(mode, fetchError);
+      }
+      triggerCustomEvent("infy-scroll-error", document, {"page": pages.length + 1, "url": instance.url, "mode": mode, "error": fetchError ? fetchError.message : "the next page couldn't be appended", "type": fetchError ? fetchError.type : "unknown", "status": fetchError ? fetchError.status : undefined});
+      fetchError = undefined;
+      return;
+    }
+    // If the last page had failed and this page was appended (e.g. the user clicked Retry), the badge can go back to normal
+    if (failure && caller !== "prepareFirstPage") {
+      failure = undefined;
+      chrome.runtime.sendMessage({receiver: "background", greeting: "setBadge", badge: instance.autoEnabled ? "auto" : "on", temporary: false}, function(response) { if (chrome.runtime.lastError) {} });
+    }
+    // Loop Detection: If this page's URL was already appended or its content is the same as a page that was already appended, the website is looping (e.g. its next link points back to a previous page or it returns the same content for every page number)
+    // Note: The Button action doesn't change the URL, so only the content can be checked
+    const fingerprint = getFingerprint(mode, el, elements, caller);
+    const repeat = caller !== "prepareFirstPage" ? pages.find(p => (instance.scrollAction !== "button" && p.url === instance.url) || (fingerprint && p.fingerprint === fingerprint)) : undefined;
+    if (repeat) {
+      console.log("appendFinally() - this page is a repeat of page " + repeat.number + ", so removing it and ending");
+      // In Append Keep mode, the website appended the elements, so we leave them alone
+      if (mode !== "keep") {
+        (mode === "element" ? elements : [el]).forEach(element => { if (element && element.parentNode) { element.parentNode.removeChild(element); } });
+      }
+      if (divider && divider.remove) {
+        divider.remove();
+      }
+      instance.url = pages[pages.length - 1].url;
+      endPages("loop", repeat.number);
       return;
     }
-    // Dispatch Custom Event
-    // TODO
     // Fix Lazy Loading Post
     fixLazyLoadingPost();
     // Append Scripts or Styles (Optional)
@@ -778,11 +968,13 @@ const Scroll = (() => {
       if ((instance.scrollAppend === "page" || instance.scrollAppend === "element" || instance.scrollAppend === "keep") && caller !== "prepareFirstPage") {
         if (instance.scrollAppendScripts) {
           console.log("appendFinally() - appending this page's scripts");
-          document_.querySelectorAll("script").forEach(script => { const script2 = document.createElement("script"); script2.textContent = script.textContent; document.head.appendChild(script2);} );
+          const doc = document_;
+          const url = documentURL_ || instance.url;
+          scriptsQueue = scriptsQueue.then(() => appendScripts(doc, url));
         }
         if (instance.scrollAppendStyles) {
           console.log("appendFinally() - appending this page's styles");
-          document_.querySelectorAll("style").forEach(style => { const style2 = document.createElement("style"); style2.textContent = style.textContent; document.head.appendChild(style2);} );
+          appendStyles(document_, documentURL_ || instance.url);
         }
       }
       // TODO: Should this also not execute on prepareFirstPage?
@@ -799,15 +991,36 @@ const Scroll = (() => {
     }
     // Part 1: Push new page into array and scroll into view if caller dictates this
     // The "point" is the part we are observing. Make sure to check the divider was appended into the document (Bing Search, for example, removes it if it isn't a li)
-    const page = {"number": pages.length + 1, "element": el, "divider": divider, "url": instance.url, "title": document_.title, "point": divider && divider.scrollIntoView && document && document.contains(divider) ? divider : el && el.scrollIntoView ? el : undefined};
+    // The page's elements are only stored if the page can be recycled later (the first page and iframes can't be because they'd have to be reloaded)
+    const page = {"number": pages.length + 1, "element": el, "divider": divider, "url": instance.url, "title": document_.title, "fingerprint": fingerprint, "point": divider && divider.scrollIntoView && document && document.contains(divider) ? divider : el && el.scrollIntoView ? el : undefined,
+      "elements": caller !== "prepareFirstPage" && mode !== "iframe" ? (mode === "element" || mode === "keep" ? elements : [el]) : undefined};
     // TODO: Investigate pages.unshift() so that newer pages are first for better performance?
     pages.push(page);
+    // The first page is the top page until a previous page is prepended above it, so we need to remember how to find its previous page
+    if (caller === "prepareFirstPage") {
+      top_ = { document: document_, instance: JSON.parse(JSON.stringify(instance)), ended: false };
+    }
     instance.totalPages = pages.length;
+    updateNavigator();
     // This is where we used to append the divider (when it used to always come at the end of the page, e.g. allowing page 1 to have a divider)
     // appendDivider();
     if (intersectionObserver) {
       intersectionObserver.observe(page.point);
     }
+    // Dispatch Custom Events (the first page is already on the page, so there is nothing new to tell the website about)
+    if (caller !== "prepareFirstPage") {
+      triggerCustomEvent("infy-scroll-page-appended", el, {"page": page.number, "url": page.url, "title": page.title, "mode": mode, "elementsLength": elements.length});
+      elements.forEach(element => triggerCustomEvent("AutoPagerize_DOMNodeInserted", element, {"url": page.url}));
+      triggerCustomEvent("GM_AutoPagerizeNextPageLoaded", document, {});
+    }
+    // Recycle the pages that are now far away from the current page (if the setting is enabled)
+    recyclePages();
+    // If the max pages have been appended, this is the last page
+    if (instance.scrollMaxPages > 0 && pages.length >= instance.scrollMaxPages) {
+      endPages("max");
+    }
+    // Prefetch the next documents while the user reads this page (if the setting is enabled)
+    prefetchDocuments();
     // Scroll into view only if shortcuts, popup, or auto slideshow
     if (page && page.point && (caller === "shortcuts" || caller === "popupClickActionButton" || (caller === "auto" && instance.autoSlideshow))) {
       page.point.scrollIntoView({behavior: instance.scrollBehavior, block: "start", inline: "start"});
@@ -845,6 +1058,522 @@ const Scroll = (() => {
     }, caller === "auto" ? 100 : items.scrollAppendDelay);
   }
 
+  /**
+   * Prepends the previous page above the first (top) page. This is the reverse of appending: the previous page is found
+   * using the top page (its prev link or by decrementing its URL), and its elements are inserted before the top page's
+   * elements. The top page gets a divider (as it's no longer the first page), and all the pages are renumbered so that
+   * the prepended page is page 1.
+   *
+   * The scroll position is anchored to the top page, so the user stays on the page they were reading while the
+   * previous page is inserted above it.
+   *
+   * Note: Only the Page and Element append modes can prepend. Modern browsers also anchor the scroll position when
+   * the prepended page's images load later (CSS Scroll Anchoring).
+   *
+   * @see https://developer.mozilla.org/docs/Web/CSS/overflow-anchor/Guide_to_scroll_anchoring
+   * @private
+   */
+  async function prepend() {
+    console.log("prepend() - top url=" + top_.instance.url);
+    instance.isLoading = true;
+    const previous = getPrependURL();
+    if (!previous.url || pages.some(page => page.url === previous.url)) {
+      console.log("prepend() - there's no previous url or it was already appended, so there are no more pages to prepend. url=" + previous.url);
+      top_.ended = true;
+      instance.isLoading = false;
+      return;
+    }
+    let result;
+    try {
+      result = await fetchDocument(previous.url);
+    } catch(e) {
+      result = { error: e };
+    }
+    const error = classifyError(result);
+    if (error || !instance.enabled) {
+      console.log("prepend() - the previous page couldn't be prepended, error=" + JSON.stringify(error));
+      top_.ended = true;
+      instance.isLoading = false;
+      return;
+    }
+    const mode = instance.scrollAppend;
+    const previousDocument = result.document;
+    const clone = previousDocument.cloneNode(true);
+    cleanDocument(previousDocument, result.url || previous.url);
+    let el;
+    let elements;
+    if (mode === "page") {
+      el = document.createElement("div");
+      el.style = PAGE_STYLE;
+      const fragment = document.createDocumentFragment();
+      previousDocument.body.querySelectorAll(":scope > *").forEach(element => fragment.appendChild(element));
+      el.appendChild(fragment);
+      elements = [el];
+    } else {
+      elements = getElements(previousDocument);
+    }
+    // If the previous page is the same as a page that was already appended, the website is looping (e.g. its prev link points to itself)
+    const fingerprint = getFingerprint(mode, el, elements, "prepend");
+    if (fingerprint && pages.some(page => page.fingerprint === fingerprint)) {
+      console.log("prepend() - the previous page is a repeat, so there are no more pages to prepend");
+      top_.ended = true;
+      instance.isLoading = false;
+      return;
+    }
+    const top = pages[0];
+    const node = getPrependNode();
+    if (!node || !node.parentNode) {
+      console.log("prepend() - couldn't find where to insert the previous page");
+      top_.ended = true;
+      instance.isLoading = false;
+      return;
+    }
+    // Remember where the top page is so we can keep it in the same place on the screen after inserting above it
+    const anchor = top.point && top.point.isConnected ? top.point : node.nodeType === Node.ELEMENT_NODE ? node : undefined;
+    const before = anchor ? anchor.getBoundingClientRect().top : 0;
+    const parent = node.parentNode;
+    if (mode === "page") {
+      parent.insertBefore(el, node);
+      resizeMedia("page", el);
+    } else {
+      const fragment = document.createDocumentFragment();
+      elements.forEach(element => fragment.appendChild(element));
+      parent.insertBefore(fragment, node);
+      el = getPageElement(elements);
+      if (!el) {
+        el = document.createElement("span");
+        parent.insertBefore(el, elements[0] || node);
+        elements.unshift(el);
+      }
+    }
+    // The top page is no longer the first page, so it needs a divider above it (between it and the prepended page)
+    const topDivider = createDivider(2, top.url);
+    if (topDivider) {
+      parent.insertBefore(topDivider, node);
+      top.divider = topDivider;
+      if (top.point !== top.placeholder) {
+        setPagePoint(top, topDivider);
+      }
+    }
+    if (anchor) {
+      const delta = anchor.getBoundingClientRect().top - before;
+      console.log("prepend() - anchoring the scroll position, delta=" + delta);
+      if (delta !== 0) {
+        const scrollContainer = getScrollContainer();
+        if (scrollContainer) {
+          scrollContainer.scrollTop += delta;
+        } else {
+          window.scrollBy(0, delta);
+        }
+      }
+    }
+    fixLazyLoadingPost();
+    const page = {"number": 1, "element": el, "divider": undefined, "url": previous.url, "title": clone.title, "fingerprint": fingerprint, "point": el, "elements": elements};
+    pages.unshift(page);
+    renumberPages();
+    instance.currentPage++;
+    instance.totalPages = pages.length;
+    if (intersectionObserver) {
+      intersectionObserver.observe(page.point);
+    }
+    top_ = { document: clone, instance: previous.instance || top_.instance, ended: false };
+    if (instance.scrollAppendStyles) {
+      appendStyles(clone, result.url || previous.url);
+    }
+    updateNavigator();
+    triggerCustomEvent("infy-scroll-page-prepended", el, {"page": 1, "url": previous.url, "title": clone.title, "mode": mode, "elementsLength": elements.length});
+    setTimeout(() => { instance.isLoading = false; }, items.scrollAppendDelay);
+  }
+
+  /**
+   * Gets the previous page's URL to prepend, using the top page. The Next Link action finds the top page's prev link
+   * (and the Prev Link action finds its next link). The Increment URL action decrements a copy of the top page's instance
+   * (and the Decrement URL action increments it).
+   *
+   * @returns {{url: string, instance: *}} the previous URL and the instance copy for the previous page (only if incrementing or decrementing)
+   * @private
+   */
+  function getPrependURL() {
+    const previous = { url: undefined, instance: undefined };
+    try {
+      const copy = JSON.parse(JSON.stringify(top_.instance));
+      if (copy.scrollAction === "next" || copy.scrollAction === "prev") {
+        const action = copy.scrollAction === "next" ? "prev" : "next";
+        const result = NextPrev.findNextPrevURL(copy[action + "Type"], copy[action + "Selector"], copy[action + "Xpath"], copy[action + "Property"], copy[action + "KeywordsEnabled"], copy[action + "Keywords"], copy.decodeURIEnabled, false, top_.document);
+        previous.url = result ? result.url : undefined;
+      } else {
+        IncrementDecrement.incrementDecrement(copy.scrollAction === "increment" ? "decrement" : "increment", copy);
+        previous.url = copy.url !== top_.instance.url ? copy.url : undefined;
+        previous.instance = copy;
+      }
+    } catch(e) {
+      console.log("getPrependURL() - error getting the previous url, error=" + e);
+    }
+    console.log("getPrependURL() - url=" + previous.url);
+    return previous;
+  }
+
+  /**
+   * Gets the node that the previous page should be inserted before, which is the top page's first node. In Page mode,
+   * this is the body's first child. In Element mode, this is the first page element in the document (or the top page's
+   * element if it comes before it, e.g. a span that was created because there was no page element).
+   *
+   * @returns {Node} the node to insert the previous page before
+   * @private
+   */
+  function getPrependNode() {
+    const top = pages[0];
+    // If the top page was recycled, its placeholder is what's at the top
+    if (top.placeholder && top.placeholder.isConnected) {
+      return top.placeholder;
+    }
+    if (instance.scrollAppend === "page") {
+      return document.body.firstChild;
+    }
+    const first = getElements(document)[0];
+    return top.element && top.element.isConnected && (!first || (top.element.compareDocumentPosition(first) & Node.DOCUMENT_POSITION_FOLLOWING)) ? top.element : first;
+  }
+
+  /**
+   * Renumbers the pages after a page was prepended, so that each page's number is its position in the pages array. The
+   * dividers and placeholders are also updated with their page's new number.
+   *
+   * @private
+   */
+  function renumberPages() {
+    pages.forEach((page, index) => {
+      page.number = index + 1;
+      if (page.divider) {
+        page.divider.id = "infy-scroll-divider-" + page.number;
+        const text = [...page.divider.querySelectorAll("span")].pop();
+        if (text) {
+          text.textContent = "Page " + page.number;
+        }
+      }
+      if (page.placeholder) {
+        page.placeholder.setAttribute("data-infy-scroll-page", page.number);
+      }
+    });
+  }
+
+  /**
+   * Appends a page's stylesheets to the head, both its linked stylesheets (<link rel="stylesheet">) and its inline
+   * styles (<style>). Pages whose layout depends on their own stylesheets would otherwise be unstyled, as the scripts
+   * and styles are removed from the next document before its elements are appended.
+   *
+   * Each stylesheet is only applied once. Linked stylesheets are compared by their absolute href and inline styles by a
+   * hash of their content, against the stylesheets that are already in the document (including the ones that were
+   * carried over from the pages before it).
+   *
+   * @param doc the page's document (this should be the cloned document, as the next document's styles were removed)
+   * @param url the page's URL, used to resolve the relative URLs in the stylesheets
+   * @private
+   */
+  function appendStyles(doc, url) {
+    const baseURL = getBaseURL(doc, url);
+    const keys = new Set();
+    document.querySelectorAll("link[href], style").forEach(element => {
+      keys.add(element.nodeName.toUpperCase() === "LINK" ? element.href : element.getAttribute("data-infy-scroll-style") || Util.hash(element.textContent.trim()));
+    });
+    let count = 0;
+    doc.querySelectorAll("link[rel~='stylesheet' i][href], style").forEach(element => {
+      let style;
+      if (element.nodeName.toUpperCase() === "LINK") {
+        const href = resolveURL(element.getAttribute("href").trim(), baseURL);
+        // Alternate stylesheets aren't applied by the browser, so we don't apply them either
+        if (keys.has(href) || /alternate/i.test(element.getAttribute("rel"))) {
+          return;
+        }
+        keys.add(href);
+        style = document.createElement("link");
+        style.rel = "stylesheet";
+        style.href = href;
+      } else {
+        const text = element.textContent.trim();
+        const key = Util.hash(text);
+        if (!text || keys.has(key)) {
+          return;
+        }
+        keys.add(key);
+        style = document.createElement("style");
+        // The key is the hash of the original content (before its URLs are resolved) so that the next page's copy of it matches
+        style.setAttribute("data-infy-scroll-style", key);
+        style.textContent = resolveCSS(text, baseURL);
+      }
+      if (element.getAttribute("media")) {
+        style.media = element.getAttribute("media");
+      }
+      document.head.appendChild(style);
+      count++;
+    });
+    console.log("appendStyles() - url=" + url + ", appended " + count + " new stylesheets");
+  }
+
+  /**
+   * Appends a page's scripts to the head so that they're executed, both its external scripts (<script src>) and its
+   * inline scripts. The scripts are executed in the same order as they are in the page's document, with each external
+   * script being loaded before the scripts after it are executed (just like the browser does for parser-inserted scripts).
+   *
+   * Each script is only executed once. External scripts are compared by their absolute URL and inline scripts by a hash
+   * of their content, against the scripts that are already in the document and the scripts that were executed for the
+   * pages before it. Scripts can also be filtered by the save's allow and deny lists, which are matched against each
+   * script's URL (external) or content (inline). In Debug Mode, a report of each script and what happened to it is
+   * logged to the console.
+   *
+   * @param doc the page's document (this should be the cloned document, as the next document's scripts were removed)
+   * @param url the page's URL, used to resolve the relative URLs of the external scripts
+   * @private
+   */
+  async function appendScripts(doc, url) {
+    const baseURL = getBaseURL(doc, url);
+    if (!scripts) {
+      scripts = new Set();
+      document.querySelectorAll("script").forEach(script => {
+        scripts.add(script.getAttribute("src") ? script.src : Util.hash(script.textContent.trim()));
+      });
+    }
+    const allow = getScriptsList(instance.scrollAppendScriptsAllow);
+    const deny = getScriptsList(instance.scrollAppendScriptsDeny);
+    const report = [];
+    for (const element of doc.querySelectorAll("script")) {
+      const type = (element.getAttribute("type") || "").trim().toLowerCase();
+      // Only JavaScript is executed (not JSON, templates, etc.); nomodule scripts are fallbacks for browsers that don't support modules, so they aren't needed
+      if ((type && type !== "module" && !/^(text|application)\/(x-)?(java|ecma)script$/.test(type)) || element.hasAttribute("nomodule")) {
+        continue;
+      }
+      const src = element.getAttribute("src") ? resolveURL(element.getAttribute("src").trim(), baseURL) : "";
+      const text = src ? "" : element.textContent.trim();
+      const key = src || Util.hash(text);
+      // Inline scripts are matched on a single line so that wildcards can match across the lines of their content
+      const value = src || text.replace(/\s+/g, " ");
+      const entry = { source: src || text.substring(0, 100), type: src ? "external" : "inline", status: "ran" };
+      report.push(entry);
+      if (!src && !text) {
+        entry.status = "empty";
+        continue;
+      }
+      if (scripts.has(key)) {
+        entry.status = "duplicate";
+        continue;
+      }
+      if (deny.some(pattern => matchesScript(value, pattern))) {
+        entry.status = "denied";
+        continue;
+      }
+      if (allow.length > 0 && !allow.some(pattern => matchesScript(value, pattern))) {
+        entry.status = "not allowed";
+        continue;
+      }
+      scripts.add(key);
+      try {
+        const script = document.createElement("script");
+        if (type === "module") {
+          script.type = "module";
+        }
+        if (src) {
+          script.src = src;
+          // Dynamically inserted external scripts are async by default, so we wait for each one to load to keep the order
+          script.async = false;
+          await new Promise(resolve => {
+            script.onload = resolve;
+            script.onerror = () => { entry.status = "failed"; resolve(); };
+            document.head.appendChild(script);
+          });
+        } else {
+          script.textContent = text;
+          document.head.appendChild(script);
+        }
+      } catch(e) {
+        console.log("appendScripts() - error appending script, error=" + e);
+        entry.status = "failed";
+      }
+    }
+    console.log("appendScripts() - url=" + url + ", ran " + report.filter(entry => entry.status === "ran").length + " of " + report.length + " scripts");
+    if (items.debugEnabled && report.length > 0) {
+      console.table(report);
+    }
+  }
+
+  /**
+   * Gets the patterns of a script allow or deny list, which has one pattern per line.
+   *
+   * @param list the list's text
+   * @returns {string[]} the list's patterns
+   * @private
+   */
+  function getScriptsList(list) {
+    return typeof list === "string" ? list.split(/\r?\n/).map(pattern => pattern.trim()).filter(pattern => pattern) : [];
+  }
+
+  /**
+   * Tests if a script matches a pattern. Like a saved URL pattern, a pattern is either a substring (the script "includes"
+   * it) or a wildcard.
+   *
+   * @param script  the script's URL (external) or content (inline)
+   * @param pattern the pattern to match
+   * @returns {boolean} true if the script matches the pattern, false otherwise
+   * @private
+   */
+  function matchesScript(script, pattern) {
+    try {
+      return script.includes(pattern) || (pattern.includes("*") && Util.wildcardToRegularExpression(pattern).test(script));
+    } catch(e) {
+      console.log("matchesScript() - error matching pattern=" + pattern + ", error=" + e);
+      return false;
+    }
+  }
+
+  /**
+   * Gets a page's fingerprint, which is a hash of its content's text (or its HTML if it has no text, e.g. an image).
+   * Two pages with the same fingerprint have the same content.
+   *
+   * Note: The first page's fingerprint can't be calculated in the Page mode because its content isn't wrapped in an
+   * element.
+   *
+   * @param mode     the append mode
+   * @param el       the appended page
+   * @param elements the elements that were appended
+   * @param caller   who called this function
+   * @returns {string} the fingerprint, or an empty string if the page has no content
+   * @private
+   */
+  function getFingerprint(mode, el, elements, caller) {
+    let fingerprint = "";
+    try {
+      const nodes = mode === "iframe" ? (el.contentDocument && el.contentDocument.body ? [el.contentDocument.body] : []) :
+        mode === "element" || mode === "keep" ? elements :
+        mode === "page" && caller === "prepareFirstPage" ? [] : [el];
+      let content = nodes.filter(node => node).map(node => node.textContent).join(" ").replace(/\s+/g, " ").trim();
+      if (!content) {
+        content = nodes.filter(node => node && node.outerHTML).map(node => node.outerHTML).join("");
+      }
+      fingerprint = content ? Util.hash(content) : "";
+    } catch(e) {
+      console.log("getFingerprint() - error calculating the fingerprint, error=" + e);
+    }
+    console.log("getFingerprint() - fingerprint=" + fingerprint);
+    return fingerprint;
+  }
+
+  /**
+   * Ends the pages so that no more pages are appended. This is called when a loop is detected (a page is a repeat of a
+   * page that was already appended), when the max pages have been appended, or when the user stops after an error. A
+   * message is shown so the user knows why Infy stopped appending.
+   *
+   * @param reason the reason the pages ended ("loop", "max", or "error")
+   * @param number (optional) the number of the page that was repeated or that couldn't be appended (only if the reason is loop or error)
+   * @private
+   */
+  function endPages(reason, number) {
+    console.log("endPages() - reason=" + reason + ", number=" + number);
+    instance.scrollEnded = true;
+    instance.isLoading = false;
+    if (instance.autoEnabled) {
+      Auto.stopAutoTimer(instance, "endPages");
+    }
+    appendMessage(chrome.i18n.getMessage("end_of_pages_" + reason + "_message").replace("?", reason === "max" ? instance.scrollMaxPages : number));
+    triggerCustomEvent("infy-scroll-end-of-pages", document, {"page": pages.length, "url": instance.url, "reason": reason});
+  }
+
+  /**
+   * Recycles the pages that are far away from the current page so that only a maximum number of pages are in the DOM
+   * at any given time, and restores the recycled pages that are near the current page again. This keeps very long
+   * sessions (e.g. hundreds of pages) from slowing the tab down. The pages that are kept are the ones closest to the
+   * current page, so as the user scrolls back up, the previous pages are restored before they're scrolled into view.
+   *
+   * Note: The first page and iframe pages are never recycled.
+   *
+   * @private
+   */
+  function recyclePages() {
+    const limit = items.scrollDOMPages;
+    if (!(limit > 0) || pages.length <= limit) {
+      return;
+    }
+    const start = Math.max(1, Math.min(instance.currentPage - Math.floor((limit - 1) / 2), pages.length - limit + 1));
+    const end = start + limit - 1;
+    console.log("recyclePages() - limit=" + limit + ", currentPage=" + instance.currentPage + ", start=" + start + ", end=" + end);
+    for (const page of pages) {
+      if (page.number >= start && page.number <= end) {
+        if (page.placeholder) {
+          restorePage(page);
+        }
+      } else if (!page.placeholder && page.elements) {
+        recyclePage(page);
+      }
+    }
+  }
+
+  /**
+   * Recycles a page by replacing its elements with a placeholder that has the same height, so that the scroll position
+   * doesn't change. The elements are cached in the page object so they can be restored later. If the page's point was
+   * one of the elements, the placeholder becomes the point so that the page can still be detected.
+   *
+   * @param page the page to recycle
+   * @private
+   */
+  function recyclePage(page) {
+    // Only the elements that have the same parent as the first element can be replaced by a single placeholder
+    const first = page.elements.find(element => element && element.isConnected && element.nodeType === Node.ELEMENT_NODE);
+    const elements = first ? page.elements.filter(element => element && element.parentNode === first.parentNode) : [];
+    if (elements.length <= 0) {
+      return;
+    }
+    const positions = elements.filter(element => element.nodeType === Node.ELEMENT_NODE).map(element => getElementPosition(element));
+    const height = Math.max(...positions.map(position => position.bottom)) - Math.min(...positions.map(position => position.top));
+    // Table rows need a row placeholder or the table's layout will break
+    const placeholder = document.createElement(first.nodeName === "TR" ? "tr" : "div");
+    placeholder.style = (first.nodeName === "TR" ? "" : "display: block; ") + PLACEHOLDER_STYLE + " height: " + Math.max(height, 0) + "px;";
+    placeholder.setAttribute("data-infy-scroll-page", page.number);
+    first.parentNode.insertBefore(placeholder, first);
+    elements.forEach(element => element.remove());
+    page.placeholder = placeholder;
+    page.recycled = elements;
+    if (page.point && elements.some(element => element === page.point || element.contains(page.point))) {
+      setPagePoint(page, placeholder);
+    }
+    console.log("recyclePage() - page.number=" + page.number + ", elements.length=" + elements.length + ", height=" + height);
+  }
+
+  /**
+   * Restores a recycled page by putting its cached elements back in place of its placeholder.
+   *
+   * @param page the page to restore
+   * @private
+   */
+  function restorePage(page) {
+    console.log("restorePage() - page.number=" + page.number);
+    const placeholder = page.placeholder;
+    if (placeholder.parentNode) {
+      const fragment = document.createDocumentFragment();
+      page.recycled.forEach(element => fragment.appendChild(element));
+      placeholder.parentNode.insertBefore(fragment, placeholder);
+      placeholder.remove();
+    }
+    if (page.point === placeholder) {
+      setPagePoint(page, page.divider && page.divider.isConnected ? page.divider : page.element);
+    }
+    page.placeholder = undefined;
+    page.recycled = undefined;
+  }
+
+  /**
+   * Sets a page's point (the part we are observing), re-observing it if the Intersection Observer is being used.
+   *
+   * @param page  the page
+   * @param point the new point
+   * @private
+   */
+  function setPagePoint(page, point) {
+    if (intersectionObserver && page.point) {
+      intersectionObserver.unobserve(page.point);
+    }
+    page.point = point;
+    if (intersectionObserver && page.point) {
+      intersectionObserver.observe(page.point);
+    }
+  }
+
   /**
    * Gets the next page's document. This method uses the fetch api to make the request, and falls back to XHR if there's
    * an error. It's called by the Append Page and Append Element modes. This method also creates a clone of the document
@@ -857,66 +1586,406 @@ const Scroll = (() => {
    *
    * TODO: Don't create a clone of the next document and somehow just have one "unedited" document while returning the original document. This is going to be hard to achieve.
    *
-   * @returns {Promise<Document>} the response document in the original encoding
-   * @see https://stackoverflow.com/questions/45512102/can-fetch-do-responsetype-document
-   * @see https://stackoverflow.com/a/46784830
+   * @returns {Promise<Document>} the response document in the original encoding
+   * @see https://stackoverflow.com/questions/45512102/can-fetch-do-responsetype-document
+   * @see https://stackoverflow.com/a/46784830
+   * @private
+   */
+  async function getNextDocument() {
+    console.log("getNextDocument() - documentContentType=" + instance.documentContentType + ", documentCharacterSet=" + instance.documentCharacterSet);
+    triggerCustomEvent("infy-scroll-before-fetch", document, {"page": pages.length + 1, "url": instance.url, "mode": instance.scrollAppend});
+    let nextDocument;
+    // The URL the document was actually fetched from (e.g. after a redirect), which its relative URLs are resolved against
+    let nextURL = instance.url;
+    fetchError = undefined;
+    // If the next document is already in the look-ahead buffer, use it instead of fetching it again
+    const prefetch = prefetches.get(instance.url);
+    if (prefetch) {
+      prefetches.delete(instance.url);
+      const result = await prefetch;
+      nextDocument = classifyError(result) ? undefined : result.document;
+      nextURL = result.url || instance.url;
+      console.log("getNextDocument() - using the prefetched document, found=" + !!nextDocument);
+    }
+    // Retry with exponential backoff (e.g. 1s, 2s, 4s) so that temporary errors (like a rate limit or a flaky connection) don't end the pages
+    // Note: Only network and http errors are retried. Parse and empty errors will be the same every time (e.g. the natural end of the pages), so retrying them would only delay the failure
+    for (let attempt = 0; !nextDocument; attempt++) {
+      let result;
+      try {
+        result = await fetchDocument(instance.url);
+      } catch(e) {
+        result = { error: e };
+      }
+      fetchError = classifyError(result);
+      if (!fetchError) {
+        nextDocument = result.document;
+        nextURL = result.url || instance.url;
+        break;
+      }
+      console.log("getNextDocument() - attempt " + (attempt + 1) + " failed, fetchError=" + JSON.stringify(fetchError));
+      if (!(attempt < items.scrollRetries) || !instance.enabled || (fetchError.type !== "network" && fetchError.type !== "http")) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, (items.scrollRetryDelay >= 250 ? items.scrollRetryDelay : 1000) * Math.pow(2, attempt)));
+    }
+    try {
+      document_ = nextDocument.cloneNode(true);
+      documentURL_ = nextURL;
+    } catch(e) {
+      console.log("getNextDocument() - error cloning document. error=" + e);
+    }
+    cleanDocument(nextDocument, nextURL);
+    return nextDocument;
+  }
+
+  /**
+   * Cleans a fetched document before its elements are inserted into the page. The lazy loading is fixed, the custom
+   * scripts are executed, the links are set to open in a new tab (if enabled), the relative URLs are resolved, and the
+   * scripts and styles are removed.
+   *
+   * @param nextDocument the fetched document to clean
+   * @param url          the URL the document was fetched from
+   * @private
+   */
+  function cleanDocument(nextDocument, url) {
+    try {
+      fixDocument(nextDocument);
+      setLinksNewTab(nextDocument);
+      // Resolve the relative URLs after fixing the lazy loading, as that may have moved URLs into the src attributes
+      resolveURLs(nextDocument, url);
+      // Remove all scripts and styles so they aren't appended. We can append them later if needed with the cloned document
+      // Note: We do not remove the noscript tags on Database URLs. For some reason they're needed on some Database URLs. See: https://girlydrop.com/letter/page/2
+      // Note: We do not remove the style tags on Database URLs. For some reason they're needed on some Database URLs. See https://photodune.net/search?sort=sales#content
+      // Not sure about the link tag...
+      // TODO: In Manifest v3, we'll need to probably adjust this
+      nextDocument.body.querySelectorAll("script" + (instance.scrollAppend === "element" && (instance.databaseFound || instance.microformatFound) ? "" : ", style, link, noscript")).forEach(element => { if (element && element.parentNode) { element.parentNode.removeChild(element); } });
+      // // Store a reference to the live/original/potentially modified document that is going to be appended on the page in case we need it to find the next link
+      // document__ = nextDocument;
+    } catch(e) {
+      console.log("cleanDocument() - error removing scripts and styles. error=" + e);
+    }
+  }
+
+  /**
+   * Resolves the relative URLs in a fetched document so that they're absolute. A document made by DOMParser has the
+   * current page's URL, not the URL it was fetched from, so once its elements are moved into the current page, their
+   * relative URLs (e.g. "image.jpg" or "../page/3") would point to the wrong place if the next page is in a different
+   * path. The URLs are resolved against the document's <base href> (if it has one) or the URL it was fetched from.
+   *
+   * The following are resolved: the href, src, srcset, action, formaction, and poster attributes, and the CSS url()
+   * functions in style attributes and style elements. URLs that are already absolute (e.g. "https:", "data:",
+   * "javascript:") and fragments (e.g. "#top") are left alone.
+   *
+   * @param nextDocument the fetched document
+   * @param url          the URL the document was fetched from
+   * @see https://developer.mozilla.org/docs/Web/HTML/Element/base
+   * @private
+   */
+  function resolveURLs(nextDocument, url) {
+    console.log("resolveURLs() - url=" + url);
+    try {
+      const baseURL = getBaseURL(nextDocument, url);
+      const resolve = value => resolveURL(value, baseURL);
+      for (const attribute of ["href", "src", "action", "formaction", "poster"]) {
+        nextDocument.querySelectorAll("[" + attribute + "]").forEach(element => {
+          // Note: We don't resolve the base element itself or the page's relative URLs will be resolved twice
+          if (element.nodeName.toUpperCase() !== "BASE") {
+            element.setAttribute(attribute, resolve(element.getAttribute(attribute).trim()));
+          }
+        });
+      }
+      nextDocument.querySelectorAll("[srcset]").forEach(element => {
+        element.setAttribute("srcset", resolveSrcset(element.getAttribute("srcset"), resolve));
+      });
+      nextDocument.querySelectorAll("[style]").forEach(element => {
+        const style = element.getAttribute("style");
+        if (/url\(/i.test(style)) {
+          element.setAttribute("style", resolveCSS(style, baseURL));
+        }
+      });
+      nextDocument.querySelectorAll("style").forEach(style => {
+        if (/url\(/i.test(style.textContent)) {
+          style.textContent = resolveCSS(style.textContent, baseURL);
+        }
+      });
+    } catch(e) {
+      console.log("resolveURLs() - error resolving the urls, error=" + e);
+    }
+  }
+
+  /**
+   * Gets the URL that a document's relative URLs are resolved against, which is its <base href> (if it has one) or the
+   * URL it was fetched from.
+   *
+   * @param doc the document
+   * @param url the URL the document was fetched from
+   * @returns {string} the base URL
+   * @private
+   */
+  function getBaseURL(doc, url) {
+    const base = doc.querySelector("base[href]");
+    try {
+      return base ? new URL(base.getAttribute("href"), url).href : url;
+    } catch(e) {
+      return url;
+    }
+  }
+
+  /**
+   * Resolves a URL against a base URL. URLs that are already absolute (e.g. "https:", "data:", "javascript:") and
+   * fragments (e.g. "#top") are returned as is.
+   *
+   * @param value   the URL to resolve
+   * @param baseURL the base URL
+   * @returns {string} the resolved URL
+   * @private
+   */
+  function resolveURL(value, baseURL) {
+    try {
+      return !value || value.startsWith("#") || /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : new URL(value, baseURL).href;
+    } catch(e) {
+      return value;
+    }
+  }
+
+  /**
+   * Resolves the URLs in the CSS url() functions of a style (e.g. "background: url(image.jpg)").
+   *
+   * @param css     the style's CSS text
+   * @param baseURL the base URL
+   * @returns {string} the CSS text with resolved URLs
+   * @private
+   */
+  function resolveCSS(css, baseURL) {
+    return css.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, value) => "url(" + quote + resolveURL(value, baseURL) + quote + ")");
+  }
+
+  /**
+   * Resolves each URL in a srcset attribute (e.g. "image.jpg 1x, image-2x.jpg 2x"). A srcset is parsed the same way the
+   * browser parses it: each candidate's URL is everything up to the next whitespace (so a URL can contain commas), and
+   * its descriptors are everything up to the next comma.
+   *
+   * @param srcset  the srcset attribute's value
+   * @param resolve the function that resolves a URL
+   * @returns {string} the srcset with resolved URLs
+   * @see https://html.spec.whatwg.org/multipage/images.html#parsing-a-srcset-attribute
+   * @private
+   */
+  function resolveSrcset(srcset, resolve) {
+    const candidates = [];
+    let rest = srcset;
+    while ((rest = rest.replace(/^[\s,]+/, ""))) {
+      let candidateURL = rest.match(/^\S+/)[0];
+      rest = rest.slice(candidateURL.length);
+      let descriptors = "";
+      // If the URL ends with a comma, the candidate has no descriptors
+      if (candidateURL.endsWith(",")) {
+        candidateURL = candidateURL.replace(/,+$/, "");
+      } else {
+        descriptors = rest.match(/^[^,]*/)[0];
+        rest = rest.slice(descriptors.length);
+      }
+      candidates.push(resolve(candidateURL) + descriptors.trimEnd());
+    }
+    return candidates.join(", ");
+  }
+
+  /**
+   * Fetches a document. This method uses the fetch api to make the request, and falls back to XHR if there's an error.
+   * The fallback is only for this request, so a single failed fetch (e.g. a flaky connection) doesn't make every later
+   * request use XHR. Requests that can be cancelled (prefetches) don't fall back, as XHR ignores the abort signal.
+   *
+   * Note: The response's status is returned along with the document, but we don't fail because of it here. See
+   * classifyError() for how the status is used.
+   *
+   * @param url    the URL of the document to fetch
+   * @param signal (optional) the abort signal to cancel the request with
+   * @returns {Promise<{document: Document, status: number, url: string}>} the response document in the original encoding, the response status, and the response URL after any redirects
+   * @private
+   */
+  async function fetchDocument(url, signal) {
+    let nextDocument;
+    let status;
+    let responseURL;
+    try {
+      // Note: Do not check or trust response.ok or response.status === 404 and return assuming there's no next document. Some websites intentionally or mistakenly return bad error codes even though the site is live!
+      const response = await fetch(url, {method: "GET", credentials: "same-origin", signal: signal});
+      status = response.status;
+      responseURL = response.url;
+      const arrayBuffer = await response.arrayBuffer();
+      const dataView = new DataView(arrayBuffer);
+      const decoder = new TextDecoder(instance.documentCharacterSet);
+      const text = decoder.decode(dataView);
+      nextDocument = new DOMParser().parseFromString(text, instance.documentContentType);
+    } catch(e) {
+      // If the request can be cancelled (a prefetch), we don't want to fallback to XHR. getNextDocument() will fetch it again if it's needed
+      if (signal) {
+        throw e;
+      }
+      console.log("fetchDocument() - error fetching document, will now fallback to using xhr. error=" + e);
+      const details = {};
+      nextDocument = await Promisify.xhr(url, "GET", "document", details);
+      status = details.status;
+      responseURL = details.url;
+    }
+    return { document: nextDocument, status: status, url: responseURL };
+  }
+
+  /**
+   * Classifies why a fetched document can't be appended, if it can't be. The classifications are:
+   * 1. network - The request itself failed (e.g. the user is offline or the connection was reset)
+   * 2. http    - The response had a bad status code (e.g. 404 or 503) and no content to append
+   * 3. parse   - The response couldn't be parsed into a document
+   * 4. empty   - The document was parsed, but it has no page elements to append
+   *
+   * Note: A bad status code alone isn't an error. Some websites intentionally or mistakenly return bad status codes
+   * even though the page is fine, so it's only an error if there's also nothing to append.
+   *
+   * @param result the result of fetchDocument() (or an object with the error that it threw)
+   * @returns {*} the error object with the type, status, and message; or undefined if the document can be appended
+   * @private
+   */
+  function classifyError(result) {
+    let error;
+    if (!result || result.error) {
+      error = { type: "network", message: result && result.error ? result.error + "" : "the request failed" };
+    } else if (!result.document || !result.document.body) {
+      error = { type: "parse", message: "the response couldn't be parsed into a document" };
+    } else if (instance.scrollAppend === "element" ? getElements(result.document).length <= 0 : result.document.body.children.length <= 0) {
+      error = result.status >= 400 ? { type: "http", message: "the response status was " + result.status } : { type: "empty", message: "the page has no page elements to append" };
+    }
+    if (error) {
+      error.status = result ? result.status : undefined;
+    }
+    return error;
+  }
+
+  /**
+   * Prefetches the next documents into the look-ahead buffer while the user is reading, so that when it's time to
+   * append the next page, its document is ready (or almost ready) and doesn't have to be fetched. The number of
+   * documents to prefetch is set by the user (0 means prefetching is disabled).
+   *
+   * Each document's next URL is found as soon as it's fetched (before it's ever modified by being appended), either by
+   * following its next link or by incrementing the URL. Documents that are no longer ahead of the current page are
+   * removed from the buffer.
+   *
+   * Note: Only the Append Page and Append Element modes use getNextDocument(), so they're the only modes that prefetch.
+   *
+   * @private
+   */
+  async function prefetchDocuments() {
+    const limit = items.scrollPrefetch;
+    if (!(limit > 0) || !instance.enabled || !(instance.scrollAppend === "page" || (instance.scrollAppend === "element" && !instance.scrollElementIframe)) ||
+        !["next", "increment", "decrement", "list"].includes(instance.scrollAction)) {
+      return;
+    }
+    prefetchController = prefetchController || new AbortController();
+    const controller = prefetchController;
+    const count = ++prefetchCount;
+    // We use a copy of the instance to increment the URL so that the instance itself isn't changed
+    const copy = JSON.parse(JSON.stringify(instance));
+    const urls = [];
+    let url = getPrefetchURL(copy, document_);
+    for (let i = 0; i < limit && url && url !== instance.url && !urls.includes(url) && !pages.find(p => p.url === url); i++) {
+      urls.push(url);
+      if (!prefetches.has(url)) {
+        console.log("prefetchDocuments() - prefetching url=" + url);
+        const prefetchURL = url;
+        const request = fetchDocument(url, controller.signal).then(result => ({ document: result.document, status: result.status, url: result.url, next: getPrefetchURL(copy, result.document) })).catch(e => {
+          // Drop the failed prefetch from the buffer so that getNextDocument() fetches the document itself
+          console.log("prefetchDocuments() - error prefetching document, error=" + e);
+          if (prefetches.get(prefetchURL) === request) {
+            prefetches.delete(prefetchURL);
+          }
+          return {};
+        });
+        prefetches.set(url, request);
+      }
+      const prefetch = await prefetches.get(url);
+      // Stop if the buffer was discarded or is being filled again (e.g. a page was appended) while we were waiting for the document
+      if (controller !== prefetchController || count !== prefetchCount || !prefetch.document) {
+        return;
+      }
+      url = instance.scrollAction === "next" ? prefetch.next : getPrefetchURL(copy);
+    }
+    // Remove the documents that are no longer ahead of the current page
+    [...prefetches.keys()].filter(key => !urls.includes(key)).forEach(key => prefetches.delete(key));
+  }
+
+  /**
+   * Gets the URL of the document to prefetch after a document, either by finding its next link or by incrementing the
+   * instance copy's URL.
+   *
+   * @param copy         the copy of the instance
+   * @param nextDocument (optional) the document to find the next link in
+   * @returns {string} the next URL or undefined if there is no next URL
    * @private
    */
-  async function getNextDocument() {
-    console.log("getNextDocument() - documentContentType=" + instance.documentContentType + ", documentCharacterSet=" + instance.documentCharacterSet);
-    let nextDocument;
+  function getPrefetchURL(copy, nextDocument) {
+    let url;
     try {
-      if (instance.useXHR) {
-        throw "useXHR";
+      if (copy.scrollAction === "next") {
+        if (nextDocument) {
+          const result = NextPrev.findNextPrevURL(copy.nextType, copy.nextSelector, copy.nextXpath, copy.nextProperty, copy.nextKeywordsEnabled, copy.nextKeywords, copy.decodeURIEnabled, false, nextDocument);
+          url = result ? result.url : undefined;
+        }
+      } else {
+        IncrementDecrement.incrementDecrement(copy.scrollAction, copy);
+        url = copy.url;
       }
-      // Note: Do not check or trust response.ok or response.status === 404 and return assuming there's no next document. Some websites intentionally or mistakenly return bad error codes even though the site is live!
-      const response = await fetch(instance.url, {method: "GET", credentials: "same-origin"});
-      const arrayBuffer = await response.arrayBuffer();
-      const dataView = new DataView(arrayBuffer);
-      const decoder = new TextDecoder(instance.documentCharacterSet);
-      const text = decoder.decode(dataView);
-      nextDocument = new DOMParser().parseFromString(text, instance.documentContentType);
     } catch(e) {
-      console.log("getNextDocument() - error fetching document, will now fallback to using xhr. error=" + e);
-      instance.useXHR = true;
-      nextDocument = await Promisify.xhr(instance.url);
+      console.log("getPrefetchURL() - error getting the next url, error=" + e);
     }
-    try {
-      document_ = nextDocument.cloneNode(true);
-      // Fix Lazy Loading (first), then Execute scripts (second) before modifying the nextDocument
-      fixLazyLoadingPre(nextDocument);
-      executeCustomScripts(nextDocument);
-      setLinksNewTab(nextDocument);
-      // Remove all scripts and styles so they aren't appended. We can append them later if needed with the cloned document
-      // Note: We do not remove the noscript tags on Database URLs. For some reason they're needed on some Database URLs. See: https://girlydrop.com/letter/page/2
-      // Note: We do not remove the style tags on Database URLs. For some reason they're needed on some Database URLs. See https://photodune.net/search?sort=sales#content
-      // Not sure about the link tag...
-      // TODO: In Manifest v3, we'll need to probably adjust this
-      nextDocument.body.querySelectorAll("script" + (instance.scrollAppend === "element" && instance.databaseFound ? "" : ", style, link, noscript")).forEach(element => { if (element && element.parentNode) { element.parentNode.removeChild(element); } });
-      // // Store a reference to the live/original/potentially modified document that is going to be appended on the page in case we need it to find the next link
-      // document__ = nextDocument;
-    } catch(e) {
-      console.log("getNextDocument() - error cloning document or removing scripts and styles. error=" + e);
+    return url;
+  }
+
+  /**
+   * Discards the look-ahead buffer, cancelling any prefetches that are still in progress. This is called when the
+   * instance is stopped or its settings have changed (the buffered documents may no longer be the next documents).
+   *
+   * @private
+   */
+  function discardPrefetches() {
+    console.log("discardPrefetches() - prefetches.size=" + prefetches.size);
+    if (prefetchController) {
+      prefetchController.abort();
+      prefetchController = undefined;
     }
-    return nextDocument;
+    prefetches.clear();
+  }
+
+  /**
+   * Fixes a page's document before it's shown by fixing its lazy loading and executing its custom scripts. This is the
+   * same for every append mode that has a document: a fetched document in the Page and Element modes, and the iframe's
+   * content document in the Iframe and Element Iframe modes.
+   *
+   * @param doc the page's document to fix
+   * @private
+   */
+  function fixDocument(doc) {
+    // Fix Lazy Loading (first), then Execute scripts (second) before modifying the document
+    fixLazyLoadingPre(doc);
+    executeCustomScripts(doc);
   }
 
   /**
-   * Executes custom scripts for specific URLs against the document.
+   * Executes custom scripts for specific URLs against the document. The instance's scripts (Infy's and the user's custom
+   * scripts that matched this URL) are executed first, followed by the rules of the save or database record.
    *
    * @param nextDocument the next document that was fetched
    * @private
    */
   function executeCustomScripts(nextDocument) {
     console.log("executeCustomScripts()");
-    // If this instance has a custom script, execute it at this point on the next document's elements (note this must come before we remove disallowed elements like scripts and styles)
+    // If this instance has custom scripts, execute them at this point on the next document's elements (note this must come before we remove disallowed elements like scripts and styles)
     try {
-      if (instance.script >= 0 && Scripts[instance.script] && (instance.scrollAppend === "element" || instance.scrollAppend === "page")) {
-        console.log("executeCustomScripts() - executing a custom script, script url:" + Scripts[instance.script].url);
-        Scripts[instance.script].fn(nextDocument);
+      const rules = (instance.scripts || []).concat(instance.customScriptsRules || []);
+      if (rules.length > 0 && (instance.scrollAppend === "element" || instance.scrollAppend === "page" || instance.scrollAppend === "iframe")) {
+        console.log("executeCustomScripts() - executing custom scripts, rules.length=" + rules.length);
+        Scripts.execute(nextDocument, rules);
       }
     } catch(e) {
-      console.log("executeCustomScripts() - error executing custom script. error=" + e);
+      console.log("executeCustomScripts() - error executing custom scripts. error=" + e);
     }
   }
 
@@ -958,41 +2027,54 @@ const Scroll = (() => {
       // Not used due to genericity: "data-image" "data-img" "data-source" "data-normal", "data-file", "data-url", "data-cover", "data-echo"
       const lazyImageAttributes = ["data-src", "data-original", "data-lazy-src", "data-actualsrc", "data-thumb", "data-thumb_url", "data-defer-src", "data-lazyload-src", "data-lazyload", "data-ks-lazyload", "data-cfsrc", "data-sco-src", "data-retina", "ajax", "loadlate"];
       const lazyImageAttributeRemovals = ["data-delay", "srcset"];
-      // data-src (background): https://www.famitsu.com/schedule/
+      // data-srcset       Responsive images (e.g. lazysizes, lozad) https://github.com/aFarkas/lazysizes
+      const lazySrcsetAttributes = ["data-srcset", "data-lazy-srcset", "data-lazyload-srcset"];
+      // data-src (background): https://www.famitsu.com/schedule/ (Not used due to genericity, as it's mostly on images)
       // data-background-image: https://www.cyzo.com/page/2
       // data-loadimage-background: https://appvs.famitsu.com/gametitle/2081/page/2/
       // data-bkg ...
       // https://pixelcog.github.io/parallax.js/ data-image-src data-parallax
-      // const lazyBackgroundAttributes = ["data-src", "data-loadimage-background", "data-background-image", "data-bkg"];
       // data-poster ph gifs
-      // const lazyVideoAttributes = ["data-poster"];
-      // const lazyClasses = ["lazyload", "lazy-load", "lazy", "lozad", "b-lazy", "responsively-lazy", "lazyestload", "jetpack-lazy-image"];
-      // const lazyBackgroundClasses = ["lazy-bg"];
+      // The other lazy elements (besides images): their selector, their lazy attributes in priority order, and the destination attribute to set
+      const lazyOthers = [
+        { selector: "picture > source", attributes: lazySrcsetAttributes, destination: "srcset" },
+        { selector: "video > source, audio > source", attributes: ["data-src", "data-lazy-src"], destination: "src" },
+        { selector: "video", attributes: ["data-poster", "data-lazy-poster"], destination: "poster" },
+        { selector: "iframe", attributes: ["data-src", "data-lazy-src", "data-original"], destination: "src" },
+        { selector: "*", attributes: ["data-bg", "data-bg-src", "data-background", "data-background-image", "data-loadimage-background", "data-bkg"], destination: "style.background-image" }
+      ];
+      const lazyClasses = ["lazyload", "lazy-load", "lazy", "lozad", "b-lazy", "responsively-lazy", "lazyestload", "jetpack-lazy-image", "lazy-bg"];
       if (instance.scrollLazyLoad) {
         if (instance.scrollLazyLoadMode === "manual") {
           // Manual:
-          // Get all elements that have the attribute source. Don't restrict on destination, just in case they didn't actually put it in the markup (e.g. imgs without src attributes defined in the HTML)
-          const lazyManuals = nextDocument.querySelectorAll("[" + instance.scrollLazyLoadAttributeSource + "]");
-          // Cache this value as we will be checking it when iterating every lazy element
-          const styleBackgroundImage = instance.scrollLazyLoadAttributeDestination === "style.background-image";
-          console.log("fixLazyLoadingPre() - lazyManuals.length=" + lazyManuals.length);
-          for (const lazyManual of lazyManuals) {
-            // style.background-image exception requires the url() css function see https://developer.mozilla.org/en-US/docs/Web/CSS/url()
-            if (styleBackgroundImage) {
-              lazyManual.style.backgroundImage = "url(" + lazyManual.getAttribute(instance.scrollLazyLoadAttributeSource) + ")";
-            } else {
-              lazyManual.setAttribute(instance.scrollLazyLoadAttributeDestination, lazyManual.getAttribute(instance.scrollLazyLoadAttributeSource));
-            }
-            // Remove the lazyAttributes in case there is CSS on the page tied to them. Especially srcset
-            for (const lazyAttribute of lazyImageAttributes.concat(lazyImageAttributeRemovals).concat([instance.scrollLazyLoadAttributeSource])) {
-              lazyManual.removeAttribute(lazyAttribute);
+          // Get all elements that have each mapping's attribute source. Don't restrict on destination, just in case they didn't actually put it in the markup (e.g. imgs without src attributes defined in the HTML)
+          // We get all the elements first before setting any of them, as an element can have more than one mapping (e.g. data-src to src and data-srcset to srcset)
+          const lazyManuals = new Map();
+          for (const mapping of getLazyLoadAttributes()) {
+            try {
+              nextDocument.querySelectorAll("[" + mapping.source + "]").forEach(lazyManual => lazyManuals.set(lazyManual, (lazyManuals.get(lazyManual) || []).concat(mapping)));
+            } catch(e) {
+              console.log("fixLazyLoadingPre() - error getting the elements of mapping source=" + mapping.source + ", error=" + e);
             }
-            lazys.set(lazyManual, instance.scrollLazyLoadAttributeSource);
           }
+          console.log("fixLazyLoadingPre() - lazyManuals.size=" + lazyManuals.size);
+          lazyManuals.forEach((mappings, lazyManual) => {
+            for (const mapping of mappings) {
+              setLazyAttribute(lazyManual, mapping.destination, lazyManual.getAttribute(mapping.source));
+            }
+            // Remove the lazyAttributes in case there is CSS on the page tied to them. Especially srcset (unless it's one of the destinations)
+            const destinations = mappings.map(mapping => mapping.destination);
+            for (const lazyAttribute of lazyImageAttributes.concat(lazyImageAttributeRemovals).concat(mappings.map(mapping => mapping.source))) {
+              if (!destinations.includes(lazyAttribute)) {
+                lazyManual.removeAttribute(lazyAttribute);
+              }
+            }
+            lazys.set(lazyManual, mappings[0].source);
+          });
         } else {
           // Auto:
           // Algorithm: Check likely lazy candidate attribute names in the following priority order
-          const lazyImages = nextDocument.querySelectorAll(lazyImageAttributes.map(la => "img[" + la + "]").join(", "));
+          const lazyImages = nextDocument.querySelectorAll(lazyImageAttributes.concat(lazySrcsetAttributes).map(la => "img[" + la + "]").join(", "));
           console.log("fixLazyLoadingPre() - lazyImages.length=" + lazyImages.length);
           for (const lazyImage of lazyImages) {
             try {
@@ -1024,33 +2106,55 @@ const Scroll = (() => {
                 }
               }
               loadAttribute = loadAttribute ? loadAttribute : loadAttributeAlt ? loadAttributeAlt : undefined;
-              if (loadAttribute) {
-                console.log("fixLazyLoadingPre() - setting src to attribute: " + loadAttribute.name + " " + loadAttribute.value);
+              // Responsive images have their lazy srcset in its own attribute, which is set as is (the browser picks the candidate, so it doesn't need an image file extension)
+              const srcsetAttribute = lazySrcsetAttributes.find(la => lazyImage.getAttribute(la) && lazyImage.getAttribute(la).trim());
+              if (loadAttribute || srcsetAttribute) {
                 // We always assume 'src' is the destination attribute in auto mode
                 // TODO: Should we use lazyImage.onerror = function() {} to set the src back to the original value in case the image returns an error 404? See https://stackoverflow.com/questions/18837735/check-if-image-exists-on-server-using-javascript
-                lazyImage.src = loadAttribute.value;
-                // Remove the lazyAttributes in case there is CSS on the page tied to them. Especially srcset
-                for (const lazyAttribute of lazyImageAttributes.concat(lazyImageAttributeRemovals)) {
-                  lazyImage.removeAttribute(lazyAttribute);
+                if (loadAttribute) {
+                  console.log("fixLazyLoadingPre() - setting src to attribute: " + loadAttribute.name + " " + loadAttribute.value);
+                  lazyImage.src = loadAttribute.value;
+                }
+                if (srcsetAttribute) {
+                  console.log("fixLazyLoadingPre() - setting srcset to attribute: " + srcsetAttribute + " " + lazyImage.getAttribute(srcsetAttribute));
+                  lazyImage.setAttribute("srcset", lazyImage.getAttribute(srcsetAttribute));
+                }
+                // Remove the lazyAttributes in case there is CSS on the page tied to them. Especially srcset (unless we just set it)
+                for (const lazyAttribute of lazyImageAttributes.concat(lazySrcsetAttributes).concat(lazyImageAttributeRemovals)) {
+                  if (!(srcsetAttribute && lazyAttribute === "srcset")) {
+                    lazyImage.removeAttribute(lazyAttribute);
+                  }
                 }
-                // TODO: Also remove the lazyClasses?
-                // lazyImage.classList.remove(...lazyClasses);
-                lazys.set(lazyImage, loadAttribute.name);
+                lazyImage.classList.remove(...lazyClasses);
+                lazys.set(lazyImage, loadAttribute ? loadAttribute.name : srcsetAttribute);
               }
             } catch(e) {
               console.log("fixLazyLoadingPre() - error encountered when setting a lazy element");
             }
           }
-          // const lazyBackgrounds = nextDocument.querySelectorAll(lazyBackgroundAttributes.map(la => "figure[" + la + "], a[" + la + "], div[" + la + "]").join(", "));
-          // console.log("fixLazyLoadingPre() - lazyBackgrounds.length=" + lazyImages.length);
-          // for (const lazyBackground of lazyBackgrounds) {
-          //   // TODO?
-          // }
-          // const lazyVideos = nextDocument.querySelectorAll(lazyVideoAttributes.map(la => "video[" + la + "]").join(", "));
-          // console.log("fixLazyLoadingPre() - lazyVideos.length=" + lazyVideos.length);
-          // for (const lazyVideo of lazyVideos) {
-          //   // TODO?
-          // }
+          // The other lazy elements: picture sources, video and audio sources, video posters, iframes, and backgrounds
+          for (const lazyOther of lazyOthers) {
+            const lazyElements = nextDocument.querySelectorAll(lazyOther.attributes.map(la => lazyOther.selector.split(",").map(selector => selector.trim() + "[" + la + "]").join(", ")).join(", "));
+            console.log("fixLazyLoadingPre() - selector=" + lazyOther.selector + ", lazyElements.length=" + lazyElements.length);
+            for (const lazyElement of lazyElements) {
+              try {
+                const lazyAttribute = lazyOther.attributes.find(la => lazyElement.getAttribute(la) && lazyElement.getAttribute(la).trim());
+                // Iframes may already have their real src if the website's lazy loading already ran, so only placeholder srcs (or none) are replaced
+                if (!lazyAttribute || (lazyElement.nodeName.toUpperCase() === "IFRAME" && lazyElement.getAttribute("src") && !/^about:blank$|^data:|lazy|blank|placeholder/i.test(lazyElement.getAttribute("src")))) {
+                  continue;
+                }
+                setLazyAttribute(lazyElement, lazyOther.destination, lazyElement.getAttribute(lazyAttribute));
+                lazyElement.removeAttribute(lazyAttribute);
+                lazyElement.classList.remove(...lazyClasses);
+                // Sources aren't rendered, so there's nothing for fixLazyLoadingPost() to fix (their picture's image is fixed as a lazy image if it has its own lazy attributes)
+                if (lazyElement.nodeName.toUpperCase() !== "SOURCE") {
+                  lazys.set(lazyElement, lazyAttribute);
+                }
+              } catch(e) {
+                console.log("fixLazyLoadingPre() - error encountered when setting a lazy element");
+              }
+            }
+          }
         }
       }
     } catch(e) {
@@ -1058,6 +2162,41 @@ const Scroll = (() => {
     }
   }
 
+  /**
+   * Gets the instance's lazy load attribute mappings for the manual mode. Each mapping has a source attribute (e.g.
+   * data-srcset) and a destination attribute (e.g. srcset). Instances that were saved before there could be more than
+   * one mapping only have the single source and destination pair.
+   *
+   * @returns {{source: string, destination: string}[]} the lazy load attribute mappings
+   * @private
+   */
+  function getLazyLoadAttributes() {
+    const mappings = Array.isArray(instance.scrollLazyLoadAttributes) ? instance.scrollLazyLoadAttributes.filter(mapping => mapping && mapping.source && mapping.destination) : [];
+    return mappings.length > 0 ? mappings :
+      instance.scrollLazyLoadAttributeSource && instance.scrollLazyLoadAttributeDestination ? [{ source: instance.scrollLazyLoadAttributeSource, destination: instance.scrollLazyLoadAttributeDestination }] : [];
+  }
+
+  /**
+   * Sets a lazy element's destination attribute to the value of its lazy attribute. The destination can also be
+   * "style.background-image" to set the element's background image instead.
+   *
+   * @param element     the lazy element
+   * @param destination the destination attribute (e.g. src, srcset, poster, or style.background-image)
+   * @param value       the value of the lazy attribute
+   * @private
+   */
+  function setLazyAttribute(element, destination, value) {
+    if (!value) {
+      return;
+    }
+    // style.background-image exception requires the url() css function see https://developer.mozilla.org/en-US/docs/Web/CSS/url() (some websites already have it in their value)
+    if (destination === "style.background-image") {
+      element.style.backgroundImage = /^\s*url\(/i.test(value) ? value : "url(\"" + value.trim().replace(/"/g, "\\\"") + "\")";
+    } else {
+      element.setAttribute(destination, value);
+    }
+  }
+
   /**
    * Finishes fixes lazily loaded images and media. This function is called after the lazy images have been appended in
    * order to utilize window.getComputedStyle(). This post-production sets opacity back to 1 and other cleanup work
@@ -1068,10 +2207,11 @@ const Scroll = (() => {
   function fixLazyLoadingPost() {
     console.log("fixLazyLoadingPost()");
     try {
-      if (lazys && lazys.size > 0 && instance.scrollLazyLoad && ((instance.scrollAppend === "element" && !instance.scrollElementIframe) || instance.scrollAppend === "page")) {
+      if (lazys && lazys.size > 0 && instance.scrollLazyLoad && (instance.scrollAppend === "element" || instance.scrollAppend === "page" || instance.scrollAppend === "iframe")) {
         console.log("fixLazyLoadingPost() - lazys.size=" + lazys.size);
         lazys.forEach((attribute, lazy) => {
-          const lazyStyle = window.getComputedStyle(lazy);
+          // The lazy elements in the Iframe modes are in the iframe's document, so their styles must be computed by the iframe's window
+          const lazyStyle = (lazy.ownerDocument && lazy.ownerDocument.defaultView ? lazy.ownerDocument.defaultView : window).getComputedStyle(lazy);
           // filter: blur(5px)
           if (/blur\(.*\)/.test(lazyStyle.filter)) {
             console.log("fixLazyLoadingPost() - setting filter: blur to 0 because filter was " + lazyStyle.filter);
@@ -1171,7 +2311,11 @@ const Scroll = (() => {
   function resetStyling() {
     console.log("resetStyling()");
     // TODO: This is experimental. Test this more with append element mode...
-    if (instance.databaseFound && instance.scrollAppend === "element") {
+    if ((instance.databaseFound || instance.microformatFound) && instance.scrollAppend === "element") {
+      return;
+    }
+    // If there's a scroll container, the html and body's overflow are intentional (the container is what scrolls), so we leave them alone
+    if (instance.scrollContainerRule) {
       return;
     }
     // TODO: setTimeout because some websites need the default html/body style to properly load lazy images on page 1
@@ -1260,7 +2404,7 @@ const Scroll = (() => {
         appendIframe("prepareFirstPage");
         break;
       case "element":
-      // case "keep":
+      case "keep":
         const elements = getElements(document);
         // Certain websites (p) sometimes load really slow, so we need to wait a few seconds and try prepareFirstPage again
         // This logic, in reality, only applies to Saved URLs as Database URLs won't be "found" if their elements are 0 initially in buildInstance()
@@ -1271,11 +2415,11 @@ const Scroll = (() => {
           }
           return;
         }
-        // // In keep mode, we need to store the elements in a variable outside this function for later use
-        // if (instance.scrollAppend === "keep") {
-        //   elements_ = new Set(elements);
-        // }
-        insert_ = getInsertElement(elements, true);
+        // In keep mode, we need to store the elements in a variable outside this function for later use
+        if (mode === "keep") {
+          elements_ = elements;
+        }
+        insert_ = getInsertElement(elements, mode !== "keep");
         // if (items.debugEnabled && insert_ && insert_.nodeType === Node.TEXT_NODE) {
         //  insert_.textContent = "Infy Scroll (Debug Mode) Insertion Point";
         // }
@@ -1294,11 +2438,7 @@ const Scroll = (() => {
         }
         calculateOffset(elements);
         // resizeMedia("element", document.body);
-        // if (instance.scrollAppend === "keep") {
-        //   mutationObserver = new MutationObserver(appendKeep2);
-        //   mutationObserver.observe(insert_.parentNode || document.body, { childList: true, subtree: true });
-        // }
-        appendFinally("element", pageElement, "prepareFirstPage");
+        appendFinally(mode, pageElement, "prepareFirstPage", elements);
         break;
       case "media":
         const media = document.createElement("div");
@@ -1342,69 +2482,147 @@ const Scroll = (() => {
   function appendDivider() {
     console.log("appendDivider() - instance.scrollDivider=" + instance.scrollDivider);
     try {
-      if (instance.scrollDivider === "yes" || (instance.scrollDivider === "element" && instance.scrollAppend === "element")) {
-        // The divider elements' style omits display intentionally because this is variable depending on tag and tag2
-        // TODO: Add a default display to tag and tag2 when not div
-        const align = items.scrollDividerAlign === "left" ? "left" : items.scrollDividerAlign === "right" ? "right" : "center";
-        const style = "visibility: visible; position: initial; width: auto; height: auto; float: none; clear: both; margin: 0 auto; text-align: " + align + "; ";
-        // Before we added the Page Divider Align Option, it was: const style = "visibility: visible; float: none; clear: both; text-align: center; margin: 0 auto; ";
-        let tag = "div";
-        let tag2 = "div";
-        // The divider tag is dependant on what the element_ is (e.g. div, ul, table)
-        if (instance.scrollAppend === "element" && insert_ && insert_.parentNode && insert_.parentNode.nodeName) {
-          const nodeName = insert_.parentNode.nodeName.toUpperCase();
-          switch(nodeName) {
-            case "DL":                  tag = "dt"; tag2 = "dd"; break;
-            case "OL":    case "UL":    tag = "li";              break;
-            case "TABLE": case "TBODY": tag = "tr"; tag2 = "td"; break;
-            case "THEAD":               tag = "tr"; tag2 = "th"; break;
-          }
-        }
-        console.log("appendDivider() - divider tag=" + tag + ", divider.container tag=" + tag2);
-        // If this is a table row, must calculate colspan before we re-create the divider
-        const colSpan = tag === "tr" ? calculateColSpan() : undefined;
-        divider = document.createElement(tag);
-        // Note: Do not apply a className to the divider. Some websites, like Bing Search, remove the divider due to having a className
-        // TODO: Still need to fix the divider issue with Bing Search, as it still sometimes happens
-        divider.id = "infy-scroll-divider-" + (pages.length + 1);
-        // Divider style only adds border-top and padding/margin if not a table row (tr)
-        divider.style = style + (tag !== "tr" ? "border-top: 1px solid " + COLOR + "; padding: 4px 0 0 0; margin: 1rem auto; width: 100%;" + (tag === "div" ? " display: block;" : tag === "li" ? "list-style: none;" : "") : "");
-        const container = document.createElement(tag2);
-        container.style = style + (tag2 === "div" ? "display: block;" : "");
-        if (colSpan) {
-          container.colSpan = colSpan;
-        }
-        const anchor = document.createElement("a");
-        anchor.href = instance.url;
-        anchor.target = "_blank";
-        anchor.style = style + "display: inline; text-decoration: none; color:" + COLOR + ";";
-        if (items.scrollIcon) {
-          const icon = createInfinity("inline", 30, 30, false);
-          anchor.appendChild(icon);
-        }
-        const text = document.createElement("span");
-        text.style = style + "display: inline; font-weight: bold; font-style: normal; font-family: 'Roboto', Arial, sans-serif; font-size: 16px; letter-spacing: initial; vertical-align: middle; color:" + COLOR;
-        text.textContent = "Page " + (pages.length + 1);
-        anchor.appendChild(text);
-        container.appendChild(anchor);
-        divider.appendChild(container);
+      divider = createDivider(pages.length + 1, instance.url);
+      if (divider) {
         // Divider needs to be appended differently depending on the append mode. If element/keep, use insert_ otherwise just append to the end of the document (page and iframe)
-        if (instance.scrollAppend === "element") {
+        if (instance.scrollAppend === "element" || instance.scrollAppend === "keep") {
           insert_.parentNode.insertBefore(divider, insert_);
-        } else if (instance.scrollAppend === "keep") {
-          insert_.parentNode.appendChild(divider);
         } else {
           document.body.appendChild(divider);
         }
-      } else {
-        // If the append mode changed and we are no longer appending a divider, we need this else to know to change the point to the element
-        divider = undefined;
       }
+      // Note: If the append mode changed and we are no longer appending a divider, the divider is undefined so we know to change the point to the element
     } catch(e) {
       console.log("appendDivider() - exception caught:" + e);
     }
   }
 
+  /**
+   * Creates a page divider for a page, if page dividers are enabled. The divider isn't inserted into the document; the
+   * caller decides where it goes (e.g. at the bottom when appending or above the first page when prepending).
+   *
+   * @param number the page number to display in the divider
+   * @param url    the page's URL that the divider links to
+   * @returns {Element} the divider, or undefined if page dividers aren't enabled
+   * @private
+   */
+  function createDivider(number, url) {
+    if (instance.scrollDivider === "yes" || (instance.scrollDivider === "element" && instance.scrollAppend === "element")) {
+      // The divider elements' style omits display intentionally because this is variable depending on tag and tag2
+      // TODO: Add a default display to tag and tag2 when not div
+      const align = items.scrollDividerAlign === "left" ? "left" : items.scrollDividerAlign === "right" ? "right" : "center";
+      const style = "visibility: visible; position: initial; width: auto; height: auto; float: none; clear: both; margin: 0 auto; text-align: " + align + "; ";
+      // Before we added the Page Divider Align Option, it was: const style = "visibility: visible; float: none; clear: both; text-align: center; margin: 0 auto; ";
+      let tag = "div";
+      let tag2 = "div";
+      // The divider tag is dependant on what the element_ is (e.g. div, ul, table)
+      if (instance.scrollAppend === "element" && insert_ && insert_.parentNode && insert_.parentNode.nodeName) {
+        const nodeName = insert_.parentNode.nodeName.toUpperCase();
+        switch(nodeName) {
+          case "DL":                  tag = "dt"; tag2 = "dd"; break;
+          case "OL":    case "UL":    tag = "li";              break;
+          case "TABLE": case "TBODY": tag = "tr"; tag2 = "td"; break;
+          case "THEAD":               tag = "tr"; tag2 = "th"; break;
+        }
+      }
+      console.log("createDivider() - divider tag=" + tag + ", divider.container tag=" + tag2);
+      // If this is a table row, must calculate colspan before we re-create the divider
+      const colSpan = tag === "tr" ? calculateColSpan() : undefined;
+      const element = document.createElement(tag);
+      // Note: Do not apply a className to the divider. Some websites, like Bing Search, remove the divider due to having a className
+      // TODO: Still need to fix the divider issue with Bing Search, as it still sometimes happens
+      element.id = "infy-scroll-divider-" + number;
+      // Divider style only adds border-top and padding/margin if not a table row (tr)
+      element.style = style + (tag !== "tr" ? "border-top: 1px solid " + COLOR + "; padding: 4px 0 0 0; margin: 1rem auto; width: 100%;" + (tag === "div" ? " display: block;" : tag === "li" ? "list-style: none;" : "") : "");
+      const container = document.createElement(tag2);
+      container.style = style + (tag2 === "div" ? "display: block;" : "");
+      if (colSpan) {
+        container.colSpan = colSpan;
+      }
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.target = "_blank";
+      anchor.style = style + "display: inline; text-decoration: none; color:" + COLOR + ";";
+      if (items.scrollIcon) {
+        const icon = createInfinity("inline", 30, 30, false);
+        anchor.appendChild(icon);
+      }
+      const text = document.createElement("span");
+      text.style = style + "display: inline; font-weight: bold; font-style: normal; font-family: 'Roboto', Arial, sans-serif; font-size: 16px; letter-spacing: initial; vertical-align: middle; color:" + COLOR;
+      text.textContent = "Page " + number;
+      anchor.appendChild(text);
+      container.appendChild(anchor);
+      element.appendChild(container);
+      return element;
+    }
+  }
+
+  /**
+   * Appends the failure control in place of the page that couldn't be appended. The control explains why the page
+   * failed and lets the user either retry appending it or stop appending pages. The badge is also changed so the
+   * failure can be seen even when the user isn't looking at the bottom of the page.
+   *
+   * @param mode  the append mode
+   * @param error the classified error of the document that couldn't be fetched
+   * @private
+   */
+  function appendFailure(mode, error) {
+    console.log("appendFailure() - mode=" + mode + ", error=" + JSON.stringify(error));
+    if (failure && failure.remove) {
+      failure.remove();
+    }
+    const number = pages.length + 1;
+    // The control's tag is dependant on where the page would have been inserted (e.g. a li in a list or a tr in a table)
+    const parent = mode === "element" && insert_ && insert_.parentNode ? insert_.parentNode : document.body;
+    const nodeName = parent.nodeName.toUpperCase();
+    const tag = nodeName === "OL" || nodeName === "UL" ? "li" : nodeName === "TABLE" || nodeName === "TBODY" ? "tr" : "div";
+    failure = document.createElement(tag);
+    failure.id = "infy-scroll-failure";
+    failure.style = "visibility: visible; position: initial; float: none; clear: both; list-style: none; width: 100%; margin: 1rem auto; padding: 8px 0; text-align: center; border-top: 1px solid " + COLOR + ";" + (tag === "div" ? " display: block;" : "");
+    const container = tag === "tr" ? document.createElement("td") : failure;
+    if (tag === "tr") {
+      container.colSpan = calculateColSpan();
+      container.style = "text-align: center; padding: 8px 0;";
+      failure.appendChild(container);
+    }
+    const text = document.createElement("span");
+    text.style = "display: inline; vertical-align: middle; font-family: 'Roboto', Arial, sans-serif; font-size: 16px; font-weight: bold; font-style: normal; color: #E6003E;";
+    text.textContent = chrome.i18n.getMessage("failure_" + error.type + "_message").replace("?1", number).replace("?2", error.status);
+    container.appendChild(text);
+    const buttonStyle = "all: initial; display: inline-block; vertical-align: middle; margin: 0 0 0 8px; padding: 4px 12px; border-radius: 4px; cursor: pointer; font-family: 'Roboto', Arial, sans-serif; font-size: 14px; font-weight: bold; color: white; background: " + COLOR + ";";
+    const retry = document.createElement("button");
+    retry.style = buttonStyle;
+    retry.textContent = chrome.i18n.getMessage("failure_retry_label");
+    retry.addEventListener("click", function(event) {
+      event.preventDefault();
+      console.log("appendFailure() - retry clicked");
+      failure.remove();
+      // The instance URL is still the URL of the page that failed, so we append it again without performing the action
+      instance.isLoading = true;
+      append("retry");
+    });
+    container.appendChild(retry);
+    const stop = document.createElement("button");
+    stop.style = buttonStyle;
+    stop.textContent = chrome.i18n.getMessage("failure_stop_label");
+    stop.addEventListener("click", function(event) {
+      event.preventDefault();
+      console.log("appendFailure() - stop clicked");
+      failure.remove();
+      failure = undefined;
+      instance.url = pages.length > 0 && pages[pages.length - 1] ? pages[pages.length - 1].url : instance.url;
+      endPages("error", number);
+      chrome.runtime.sendMessage({receiver: "background", greeting: "setBadge", badge: instance.autoEnabled ? "auto" : "on", temporary: false}, function(response) { if (chrome.runtime.lastError) {} });
+    });
+    container.appendChild(stop);
+    if (parent === document.body) {
+      document.body.appendChild(failure);
+    } else {
+      parent.insertBefore(failure, insert_);
+    }
+    chrome.runtime.sendMessage({receiver: "background", greeting: "setBadge", badge: "error", temporary: false}, function(response) { if (chrome.runtime.lastError) {} });
+  }
+
   /**
    * Appends a message on the page in case there is an error encountered that the user should know about (e.g. iframes
    * not being supported).
@@ -1553,22 +2771,10 @@ const Scroll = (() => {
     // If no insert element found using the insert before rule, set insertion point using the last element
     if (!insertElement && elements && elements.length > 0) {
       try {
-        // TODO: Button Keep uses first element, not last
+        // Keep uses the first element, not the last, as the kept elements are re-inserted before the new elements
         if (instance.scrollAppend === "keep") {
-          const firstElement = elements[0];
-          if (firstElement.previousSibling) {
-            insertElement = firstElement.previousSibling;
-            details = "the first element's previous sibling";
-          } else {
-            // Don't modify the DOM if only requesting details! (e.g. Popup checking...) Just return the lastElement so we get the parent from it
-            if (withDetails) {
-              insertElement = firstElement;
-            } else {
-              // TODO: Investigate if we can create an element span, as that lets us use getBoundingClientRect
-              insertElement = firstElement.parentNode.insertBefore(firstElement, document.createTextNode(" "));
-            }
-            details = "a new node created by the document";
-          }
+          insertElement = elements[0];
+          details = "the first element";
         }
         // Normal Non-Button insert element:
         else {
@@ -1596,6 +2802,34 @@ const Scroll = (() => {
     return withDetails ? [insertElement, details] : insertElement;
   }
 
+  /**
+   * Auto detects the page elements for the Popup's Append Element mode. The detected rules are verified the same way
+   * they would be used when appending (using getElements() and getInsertElement()), and the elements are highlighted.
+   *
+   * @param currentDocument the document to detect the page elements in
+   * @returns {*} the detected rules with the confidence and number of elements, or found false if nothing was detected
+   * @private
+   */
+  function detectScrollElement(currentDocument) {
+    const next = NextPrev.findNextPrevURL(instance.nextType, instance.nextSelector, instance.nextXpath, instance.nextProperty, instance.nextKeywordsEnabled, instance.nextKeywords, instance.decodeURIEnabled, false, currentDocument);
+    const result = Detect.detect(currentDocument, next && next.url ? next.url : undefined);
+    if (!result) {
+      return { found: false };
+    }
+    const elements = getElements(currentDocument, result.scrollElementType, result.scrollElementRule);
+    const insert = getInsertElement(elements, true, result.scrollElementType, result.scrollElementInsertRule, true);
+    // If the insert before rule doesn't share the elements' parent, it isn't safe to use, so fall back to the last element
+    if (result.scrollElementInsertRule && (!insert[0] || !elements[0] || insert[0].parentNode !== elements[0].parentNode)) {
+      result.scrollElementInsertRule = "";
+    }
+    const found = elements.length > 0 && result.elements.every(element => elements.includes(element));
+    console.log("detectScrollElement() - found=" + found + ", elements.length=" + elements.length + ", confidence=" + result.confidence);
+    if (found) {
+      Detect.highlight(elements);
+    }
+    return { found: found, scrollElementType: result.scrollElementType, scrollElementRule: result.scrollElementRule, scrollElementInsertRule: result.scrollElementInsertRule, confidence: result.confidence, elementsLength: elements.length };
+  }
+
   /**
    * Gets and calculates the page element from the elements array, used in the Append Element mode. The page element is
    * the first Node.ELEMENT_NODE in the elements array. It must be a Node.ELEMENT_NODE because it is the element used to
@@ -1662,7 +2896,7 @@ const Scroll = (() => {
    * to the very bottom of the HTML document. This only needs to be calculated one time, as the offset should never
    * change since this space is never modified.
    *
-   * This function is only used in Append Element mode.
+   * This function is only used in Append Element and Append Keep modes.
    *
    * TODO: Add a way to call this again if the mode changes (e.g. from Page to Element).
    * TODO: Let's rethink this a bit. Perhaps we should call this every time we append in case the offset changes (e.g. dynamic content gets added somehow by the web page?)
@@ -1671,8 +2905,8 @@ const Scroll = (() => {
    * @private
    */
   function calculateOffset(elements) {
-    // First get the absolute bottom position (total height of the document) in pixels
-    const bottom = getTotalHeight(document);
+    // First get the absolute bottom position (total height of the document or scroll container) in pixels
+    const bottom = getScrollHeight();
     // Check where the insertion point is on the document and find its position. Its position (top) can then be used to calculate the offset
     let insertPosition = getElementPosition(insert_);
     // TODO: Experiment with NOT doing this anymore on the insertPosition and just relying on option 2 if insert isn't an element
@@ -1688,8 +2922,8 @@ const Scroll = (() => {
     // } else {
     //  insertPosition = getElementPosition(insert_);
     // }
-    // 1st Option: Use the insertion point's top position
-    let difference = insertPosition.top;
+    // 1st Option: Use the insertion point's top position (except in Append Keep mode, where the insertion point is the first element)
+    let difference = instance.scrollAppend !== "keep" ? insertPosition.top : 0;
     // 2nd Option: Fall back to calculating the elements' bottom position and use the biggest value
     if (!difference || difference <= 0) {
       console.log("calculateOffset() - no value found from the insert position's top, calculating each element's bottom position ...");
@@ -1721,7 +2955,9 @@ const Scroll = (() => {
       // Commented out the left since it's not needed for our purposes (we only care about vertical position)
       const rect = element.getBoundingClientRect();
       // const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+      // If there's a scroll container, the position is relative to the top of its content instead of the document
+      const viewport = getViewport();
+      const scrollTop = viewport.top - viewport.offset;
       position.top = rect.top + scrollTop;
       position.bottom = rect.bottom + scrollTop;
       // position.left = rect + scrollLeft;
@@ -1732,11 +2968,78 @@ const Scroll = (() => {
     return position;
   }
 
-  // TODO: Implement custom events (e.g. when appending new nodes)
-  function triggerCustomEvent(name, element) {
-    if (items.customEventsEnabled) {
-      const event = new CustomEvent(name);
+  /**
+   * Triggers (dispatches) a custom event so that the website's own scripts and userscripts can react to Infy Scroll.
+   * Events are only triggered if the user has enabled Custom Events in the Options. All events bubble and have a
+   * detail object containing only primitive values (page numbers, URLs, and so on) because the detail must be able to
+   * cross from the content script's isolated world to the website's world. If the event is about an element (e.g. an
+   * appended page), the element is the event's target.
+   *
+   * The following events are triggered:
+   * 1. infy-scroll-start          - On the document when Infy Scroll starts. Detail: page, url, action, mode
+   * 2. infy-scroll-stop           - On the document when Infy Scroll stops. Detail: page, url
+   * 3. infy-scroll-before-fetch   - On the document before the next page is fetched. Detail: page, url, mode
+   * 4. infy-scroll-page-appended  - On the page element after a page is appended. Detail: page, url, title, mode, elementsLength
+   * 5. infy-scroll-end-of-pages   - On the document when there are no more pages to append. Detail: page, url, action or reason
+   * 6. infy-scroll-error          - On the document when a page couldn't be appended. Detail: page, url, mode, error, type (network, http, parse, empty, or unknown), status
+   * 7. infy-scroll-page-prepended - On the page element after a previous page is prepended above the first page. Detail: page, url, title, mode, elementsLength
+   *
+   * For compatibility with scripts written for AutoPagerize, the following events are also triggered:
+   * 1. GM_AutoPagerizeLoaded          - On the document when Infy Scroll starts
+   * 2. AutoPagerize_DOMNodeInserted   - On each appended element after a page is appended. Detail: url
+   * 3. GM_AutoPagerizeNextPageLoaded  - On the document after a page is appended
+   *
+   * Note: AutoPagerize sends AutoPagerize_DOMNodeInserted as a MutationEvent, not a CustomEvent, and its userscripts
+   * read the page's URL from event.newValue and the element's parent from event.relatedNode. We send it the same way,
+   * but if the browser can no longer create a MutationEvent, it's sent as a CustomEvent instead. Then the URL is only in
+   * event.detail.url and the parent is event.target.parentNode.
+   *
+   * Example: document.addEventListener("infy-scroll-page-appended", event => console.log(event.detail.page));
+   *
+   * @param name    the event name
+   * @param element (optional) the element to dispatch the event on, defaults to the document
+   * @param detail  (optional) the event's detail object
+   * @see https://developer.mozilla.org/docs/Web/API/CustomEvent
+   * @see https://developer.mozilla.org/docs/Mozilla/Add-ons/WebExtensions/Sharing_objects_with_page_scripts#cloneinto
+   * @public
+   */
+  function triggerCustomEvent(name, element, detail = {}) {
+    if (!items || !items.customEventsEnabled) {
+      return;
+    }
+    console.log("triggerCustomEvent() - name=" + name + ", detail=" + JSON.stringify(detail));
+    try {
+      const target = element && element.dispatchEvent ? element : document;
+      // Firefox: The detail must be cloned into the website's world, otherwise the website's scripts can't access it
+      const detail_ = typeof cloneInto === "function" ? cloneInto(detail, document.defaultView) : detail;
+      const event = name === "AutoPagerize_DOMNodeInserted" ? createMutationEvent(name, target, detail.url) : undefined;
+      target.dispatchEvent(event || new CustomEvent(name, { detail: detail_, bubbles: true, cancelable: false }));
+    } catch(e) {
+      console.log("triggerCustomEvent() - error dispatching event, error=" + e);
+    }
+  }
+
+  /**
+   * Creates a MutationEvent the same way AutoPagerize does, so that scripts written for AutoPagerize can read the URL
+   * from event.newValue and the element's parent from event.relatedNode.
+   *
+   * @param name   the event name
+   * @param target the element the event will be dispatched on
+   * @param url    the URL of the page the element was appended from
+   * @returns {Event} the MutationEvent, or undefined if the browser can't create one
+   * @see https://github.com/swdyh/autopagerize/blob/master/autopagerize.user.js
+   * @private
+   */
+  function createMutationEvent(name, target, url) {
+    let event;
+    try {
+      event = document.createEvent("MutationEvent");
+      event.initMutationEvent(name, true, false, target.parentNode, null, url, null, null);
+    } catch(e) {
+      console.log("createMutationEvent() - error creating the MutationEvent, a CustomEvent will be used instead, error=" + e);
+      event = undefined;
     }
+    return event;
   }
 
   // TODO: This usually works really well but has occasionally given incorrect values, so we'll need to rethink this approach
@@ -1826,6 +3129,13 @@ const Scroll = (() => {
       overlay = document.createElement("div");
       overlay.id = "infy-scroll-overlay";
       overlay.style = "all: initial; position: fixed; top: 0; right: 0; padding: 8px; z-index: 2147483647; background: white;";
+      // If there's a scroll container, put the overlay in its top-right corner instead of the window's
+      const scrollContainer = getScrollContainer();
+      if (scrollContainer) {
+        const rect = scrollContainer.getBoundingClientRect();
+        overlay.style.top = Math.max(rect.top, 0) + "px";
+        overlay.style.right = Math.max(window.innerWidth - rect.right, 0) + "px";
+      }
       if (items.scrollIcon) {
         const icon = createInfinity("inline", 30, 30, false);
         overlay.appendChild(icon);
@@ -1836,14 +3146,18 @@ const Scroll = (() => {
       const text = document.createElement("span");
       text.style = "vertical-align: middle; font-family: 'Roboto', Arial, sans-serif; font-size: 16px; font-weight: bold; font-style: normal; color:" + COLOR;
       text.textContent = "Page " + instance.currentPage + " / " + instance.totalPages;
+      // Clicking on the page number opens the page navigator
+      text.style.cursor = "pointer";
+      text.title = chrome.i18n.getMessage("navigator_title");
+      text.addEventListener("click", toggleNavigator);
       overlay.appendChild(text);
       if (items.debugEnabled) {
         const debugFontStyle = "font-family: monospace, sans-serif; font-size: 10px; font-style: normal; color: " + COLOR;
         const debug = document.createElement("div");
         debug.style = "margin-top: 4px; vertical-align: middle; font-weight: bold; " + debugFontStyle;
         debug.textContent = "Infy's Debug Mode";
-        // Debug will have 6 Lines: Bottom, Insert Bottom, Elements Bottom, 075 Bottom, Offset, Lazys
-        for (let i = 0; i < 6; i++) {
+        // Debug will have 7 Lines: Bottom, Insert Bottom, Elements Bottom, 075 Bottom, Offset, Lazys, Recycled
+        for (let i = 0; i < 7; i++) {
           const span = document.createElement("span");
           span.style = debugFontStyle;
           debug.appendChild(document.createElement("br"));
@@ -1855,6 +3169,219 @@ const Scroll = (() => {
     }
   }
 
+  /**
+   * Toggles the page navigator, opening it if it's closed and closing it if it's open. The navigator can be opened with
+   * its shortcut command or by clicking on the overlay's page number.
+   *
+   * @private
+   */
+  function toggleNavigator() {
+    console.log("toggleNavigator() - open=" + !!pageNavigator);
+    if (pageNavigator) {
+      closeNavigator();
+    } else {
+      openNavigator();
+    }
+  }
+
+  /**
+   * Opens the page navigator, a panel that is fixed on the page and lists every page with its number, title, and URL.
+   * The current page's row is focused so the user can use the keyboard right away.
+   *
+   * Keyboard shortcuts (while the navigator has focus):
+   * 1. ArrowDown/ArrowUp - Moves to the next/previous page's row
+   * 2. Enter             - Jumps to the focused page
+   * 3. Escape            - Closes the navigator
+   *
+   * @private
+   */
+  function openNavigator() {
+    pageNavigator = document.createElement("div");
+    pageNavigator.id = "infy-scroll-navigator";
+    pageNavigator.tabIndex = -1;
+    pageNavigator.style = "all: initial; display: block; position: fixed; top: 0; right: 0; width: 360px; max-width: 100%; max-height: 100%; overflow-y: auto; box-sizing: border-box; padding: 8px; z-index: 2147483647; background: white; border: 1px solid " + COLOR + "; font-family: 'Roboto', Arial, sans-serif; font-size: 14px; color: " + COLOR + ";";
+    pageNavigator.addEventListener("keydown", navigatorKeyListener);
+    document.body.appendChild(pageNavigator);
+    updateNavigator();
+    const row = pageNavigator.querySelector("[data-page='" + instance.currentPage + "']");
+    (row || pageNavigator).focus();
+  }
+
+  /**
+   * Closes the page navigator.
+   *
+   * @private
+   */
+  function closeNavigator() {
+    pageNavigator.remove();
+    pageNavigator = undefined;
+  }
+
+  /**
+   * Updates the page navigator's list of pages (if the navigator is open). This is called whenever the pages change, for
+   * example when a page is appended or the current page changes. If a row was focused, it stays focused.
+   *
+   * @private
+   */
+  function updateNavigator() {
+    if (!pageNavigator) {
+      return;
+    }
+    const focused = document.activeElement && pageNavigator.contains(document.activeElement) ? document.activeElement.getAttribute("data-page") : undefined;
+    pageNavigator.textContent = "";
+    const header = document.createElement("div");
+    header.style = "all: initial; display: flex; align-items: center; justify-content: space-between; margin-bottom: 4px; font-family: 'Roboto', Arial, sans-serif; font-size: 16px; font-weight: bold; color: " + COLOR + ";";
+    header.textContent = chrome.i18n.getMessage("navigator_title") + " (" + instance.currentPage + " / " + instance.totalPages + ")";
+    header.appendChild(createNavigatorButton("×", chrome.i18n.getMessage("navigator_close_label"), closeNavigator));
+    pageNavigator.appendChild(header);
+    for (const page of pages) {
+      const row = document.createElement("div");
+      row.setAttribute("data-page", page.number);
+      row.tabIndex = 0;
+      row.style = "all: initial; display: block; margin: 4px 0; padding: 4px; border-radius: 4px; cursor: pointer; font-family: 'Roboto', Arial, sans-serif; font-size: 14px; color: " + COLOR + ";" + (page.number === instance.currentPage ? " background: #EEEEEE;" : "") + (page.removed ? " opacity: 0.5;" : "");
+      row.addEventListener("click", function() { scrollToPage(page.number); });
+      const title = document.createElement("div");
+      title.style = "all: initial; display: block; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; font-family: 'Roboto', Arial, sans-serif; font-size: 14px; font-weight: bold; color: " + COLOR + ";";
+      title.textContent = page.number + ". " + (page.title || page.url);
+      row.appendChild(title);
+      const url = document.createElement("div");
+      url.style = "all: initial; display: block; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; font-family: monospace, sans-serif; font-size: 11px; color: " + COLOR + ";";
+      url.textContent = page.url;
+      row.appendChild(url);
+      const actions = document.createElement("div");
+      actions.style = "all: initial; display: block; margin-top: 2px;";
+      const open = document.createElement("a");
+      open.href = page.url;
+      open.target = "_blank";
+      open.style = "all: initial; margin-right: 8px; cursor: pointer; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; text-decoration: underline; color: " + COLOR + ";";
+      open.textContent = chrome.i18n.getMessage("navigator_open_label");
+      open.addEventListener("click", function(event) { event.stopPropagation(); });
+      actions.appendChild(open);
+      // Only pages whose nodes we know can be collapsed or removed (not the first page, whose elements are the website's)
+      if (!page.removed && getPageNodes(page)) {
+        actions.appendChild(createNavigatorButton(chrome.i18n.getMessage(page.collapsed ? "navigator_expand_label" : "navigator_collapse_label"), "", function() { collapsePage(page); }));
+        actions.appendChild(createNavigatorButton(chrome.i18n.getMessage("navigator_remove_label"), "", function() { removePage(page); }));
+      }
+      row.appendChild(actions);
+      pageNavigator.appendChild(row);
+    }
+    const row = focused ? pageNavigator.querySelector("[data-page='" + focused + "']") : undefined;
+    if (row) {
+      row.focus();
+    }
+  }
+
+  /**
+   * Creates a small text button for the page navigator.
+   *
+   * @param text     the button's text
+   * @param title    the button's title (tooltip)
+   * @param callback the function to call when the button is clicked
+   * @returns {Element} the button
+   * @private
+   */
+  function createNavigatorButton(text, title, callback) {
+    const button = document.createElement("button");
+    button.style = "all: initial; margin-right: 8px; cursor: pointer; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; text-decoration: underline; color: " + COLOR + ";";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", function(event) {
+      event.stopPropagation();
+      callback();
+    });
+    return button;
+  }
+
+  /**
+   * The keydown listener for the page navigator, handling its keyboard shortcuts. See openNavigator().
+   *
+   * @param event the keydown event
+   * @private
+   */
+  function navigatorKeyListener(event) {
+    const rows = [...pageNavigator.querySelectorAll("[data-page]")];
+    const index = rows.indexOf(document.activeElement);
+    switch (event.key) {
+      case "Escape":
+        closeNavigator();
+        break;
+      case "ArrowDown":
+        (rows[index + 1] || rows[0]).focus();
+        break;
+      case "ArrowUp":
+        (rows[index - 1] || rows[rows.length - 1]).focus();
+        break;
+      case "Enter":
+        // Let Enter work normally on the row's links and buttons
+        if (index < 0) {
+          return;
+        }
+        scrollToPage(+rows[index].getAttribute("data-page"));
+        break;
+      default:
+        return;
+    }
+    // Don't let the website's own keyboard shortcuts handle the keys we used
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Gets the nodes that make up a page, so that they can be collapsed or removed. The first page and pages whose nodes
+   * aren't known (e.g. the first page's elements are the website's own elements) return undefined.
+   *
+   * @param page the page
+   * @returns {Node[]} the page's nodes, or undefined if they aren't known
+   * @private
+   */
+  function getPageNodes(page) {
+    return page.elements || (page.element && page.element.nodeName === "IFRAME" ? [page.element] : undefined);
+  }
+
+  /**
+   * Collapses a page by hiding its nodes, or expands it again if it's already collapsed. The page's divider isn't
+   * hidden, so the user can still see where the page is.
+   *
+   * @param page the page to collapse or expand
+   * @private
+   */
+  function collapsePage(page) {
+    console.log("collapsePage() - page.number=" + page.number + ", collapsed=" + !!page.collapsed);
+    // A recycled page's nodes aren't in the document, so it needs to be restored first
+    if (page.placeholder) {
+      restorePage(page);
+    }
+    if (page.collapsed) {
+      page.collapsed.forEach((display, node) => { node.style.display = display; });
+      page.collapsed = undefined;
+    } else {
+      page.collapsed = new Map();
+      getPageNodes(page).filter(node => node && node.nodeType === Node.ELEMENT_NODE).forEach(node => {
+        page.collapsed.set(node, node.style.display);
+        node.style.display = "none";
+      });
+    }
+    updateNavigator();
+  }
+
+  /**
+   * Removes a page's nodes and divider from the DOM. The page stays in the pages array (so the page numbers don't
+   * change and the page isn't appended again), but it can no longer be scrolled to.
+   *
+   * @param page the page to remove
+   * @private
+   */
+  function removePage(page) {
+    console.log("removePage() - page.number=" + page.number);
+    getPageNodes(page).concat(page.placeholder, page.divider).forEach(node => { if (node && node.parentNode) { node.parentNode.removeChild(node); } });
+    if (intersectionObserver && page.point) {
+      intersectionObserver.unobserve(page.point);
+    }
+    page.point = page.elements = page.placeholder = page.recycled = page.collapsed = undefined;
+    page.removed = true;
+    updateNavigator();
+  }
+
   /**
    * Creates the loading div with the animated infinity icon, initially set to display:none and re-appended after each
    * new page has been added.
@@ -1898,8 +3425,6 @@ const Scroll = (() => {
       // This is the only opportunity (besides the Popup) that we have of getting the tab ID to identify this instance
       instance.tabId = await Promisify.runtimeSendMessage({receiver: "background", greeting: "setBadge", badge: "on", temporary: false, needsTabId: true});
     }
-    // Free up some memory as we don't need the database
-    delete items.database;
   }
 
   /**
@@ -1939,6 +3464,8 @@ const Scroll = (() => {
     if (overlay && overlay.style && overlay.style.display) {
       overlay.style.display = "initial";
     }
+    triggerCustomEvent("infy-scroll-start", document, {"page": instance.currentPage, "url": instance.url, "action": instance.scrollAction, "mode": instance.scrollAppend});
+    triggerCustomEvent("GM_AutoPagerizeLoaded", document, {});
   }
 
   /**
@@ -1959,10 +3486,19 @@ const Scroll = (() => {
     if (loading && loading.style) {
       loading.style.display = "none";
     }
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+    }
+    discardPrefetches();
+    if (failure && failure.remove) {
+      failure.remove();
+      failure = undefined;
+    }
+    if (pageNavigator) {
+      closeNavigator();
+    }
     // We must get the updated on/off state on this page's storage items cache
-    items = await Promisify.storageGet();
-    // Free up some memory as we don't need the database
-    delete items.database;
+    items = await Infy.getItems();
     // Instance Business Logic: This was...?
     if (instance.autoEnabled) {
       Auto.stopAutoTimer(instance, "stop");
@@ -1976,9 +3512,97 @@ const Scroll = (() => {
     instance.urls = [];
     // Scroll Instance Cleanup ... TODO: Why was this current page assignment needed?
     // instance.currentPage = instance.totalPages;
+    // Note: The items were updated above, so this is only triggered if the user still has Custom Events enabled
+    triggerCustomEvent("infy-scroll-stop", document, {"page": instance.currentPage, "url": instance.url});
     chrome.runtime.sendMessage({receiver: "background", greeting: "setBadge", badge: "off", temporary: true}, function(response) { if (chrome.runtime.lastError) {} });
   }
 
+  /**
+   * Listen for commands that the page's own scripts (e.g. userscripts) send with window.postMessage. This lets the
+   * page drive Infy Scroll, for example to pause the scroll detection, force the next page to load, or jump to a page.
+   * Commands are only accepted if the user has allowed this page to control Infy Scroll in its Saved URL; otherwise
+   * any website would be able to control it.
+   *
+   * The command message's data must look like this (id is optional and is sent back in the response):
+   * { "infy-scroll": "command", "command": "next", "id": 1 }
+   *
+   * The following commands are supported:
+   * 1. state  - Doesn't do anything (only sends back the response)
+   * 2. next   - Appends the next page now (the scroll action, e.g. next, increment, or button)
+   * 3. down   - Scrolls down one page
+   * 4. up     - Scrolls up one page
+   * 5. page   - Scrolls to the page number in the message's "page" property
+   * 6. pause  - Pauses the scroll detection so that no more pages are appended by scrolling
+   * 7. resume - Resumes the scroll detection
+   * 8. auto   - Pauses or resumes Auto (only if Auto is enabled)
+   * 9. off    - Stops Infy Scroll on this page only (the same as stopping it in the Popup). The page can't turn Infy
+   *              Scroll off globally (in every tab), that is left to the user
+   *
+   * The response is posted back to the page and looks like this:
+   * { "infy-scroll": "response", "command": "next", "id": 1, "error": "", "state": { "currentPage": 1, "totalPages": 2, ... } }
+   *
+   * @param event the message event
+   * @private
+   */
+  async function pageMessageListener(event) {
+    // Only handle messages the page posted to its own window, and ignore our own responses
+    if (event.source !== window || !event.data || event.data["infy-scroll"] !== "command") {
+      return;
+    }
+    console.log("pageMessageListener() - command=" + event.data.command);
+    if (!instance || !instance.pageCommandsEnabled) {
+      console.log("pageMessageListener() - ignoring the command because this page isn't allowed to control Infy Scroll");
+      return;
+    }
+    const command = event.data.command;
+    let error = "";
+    // Except for state and off, all commands need the instance to be running
+    if (!instance.enabled && command !== "state" && command !== "off") {
+      error = "not enabled";
+    } else {
+      switch (command) {
+        case "state":
+          break;
+        case "next":
+          if (instance.isLoading) {
+            error = "loading";
+          } else {
+            instance.isLoading = true;
+            Action.performAction(instance.scrollAction, "pageCommand", instance, items, undefined, document_, document__);
+          }
+          break;
+        case "down": case "up":
+          Action.performAction(command, "pageCommand", instance, items, undefined, document_, document__);
+          break;
+        case "page":
+          if (!scrollToPage(event.data.page)) {
+            error = "no page " + event.data.page;
+          }
+          break;
+        case "pause": case "resume":
+          instance.scrollPaused = command === "pause";
+          break;
+        case "auto":
+          if (instance.autoEnabled) {
+            Action.performAction("auto", "pageCommand", instance, items, undefined, document_, document__);
+          } else {
+            error = "auto not enabled";
+          }
+          break;
+        case "off":
+          if (instance.enabled) {
+            await stop();
+          }
+          break;
+        default:
+          error = "unknown command";
+          break;
+      }
+    }
+    const state = { "enabled": instance.enabled, "currentPage": instance.currentPage, "totalPages": pages.length, "isLoading": instance.isLoading, "scrollPaused": !!instance.scrollPaused, "autoEnabled": instance.autoEnabled, "autoPaused": instance.autoPaused, "url": instance.url };
+    window.postMessage({ "infy-scroll": "response", "command": command, "id": event.data.id, "error": error, "state": state }, "*");
+  }
+
   /**
    * Listen for requests from chrome.tabs.sendMessage (Extension Environment: Background / Popup)
    * Note: Every request should be responded to via sendResponse. Otherwise we introduce an unnecessary delay in waiting
@@ -2001,6 +3625,11 @@ const Scroll = (() => {
         // Note: This setInstance message is only called from the Popup (Accept Button)
         // Store the current page before setting the instance
         const currentPage = instance.currentPage;
+        // The settings may have changed (e.g. the next link rule), so the prefetched documents may no longer be the next documents
+        discardPrefetches();
+        // The scroll container rule may have changed, so remove the scroll detection from the old container and find it again
+        removeScrollDetection();
+        container = undefined;
         setInstance(request.instance);
         // Popup sometimes has out of date values for the current page and total pages
         instance.currentPage = currentPage;
@@ -2012,6 +3641,11 @@ const Scroll = (() => {
         items.on = true;
         // Sometimes after the Popup is setting the instance again (e.g. to add Auto after being enabled), isLoading is in a strange state of true
         instance.isLoading = false;
+        // The user may have changed the settings (e.g. raised the max pages), so give the instance a chance to append (or prepend) more pages
+        instance.scrollEnded = false;
+        if (top_) {
+          top_.ended = false;
+        }
         start();
         // // Note: This start message is usually called from the Popup (Accept Button)
         // // Store the current page before setting the instance
@@ -2052,6 +3686,15 @@ const Scroll = (() => {
         // Send an object as the 2nd parameter to the button function to simulate an instance
         response = Action.button("popup", { buttonType: request.buttonType, buttonRule: request.buttonRule, buttonMethod: request.buttonMethod });
         break;
+      case "startPicker":
+        Picker.start(request.picker, request.type);
+        break;
+      case "getPickerResult":
+        response = Picker.popResult();
+        break;
+      case "detectScrollElement":
+        response = detectScrollElement(document);
+        break;
       case "startAutoTimer":
         // Only called by the Popup when Auto is toggled on
         Auto.startAutoTimer(instance, request.caller);
@@ -2080,6 +3723,10 @@ const Scroll = (() => {
           // This is the only opportunity (besides the Popup) that we have of getting the tab ID to identify this instance
           instance.tabId = await Promisify.runtimeSendMessage({receiver: "background", greeting: "setBadge", badge: "on", temporary: false, needsTabId: true});
           start();
+        } else if (action === "navigator") {
+          if (instance.enabled) {
+            toggleNavigator();
+          }
         } else if (((action === "down" || action === "up") && (instance.enabled)) ||
           (action === "auto" && instance.autoEnabled) ||
           (action === "off" && items.on)) {
@@ -2100,6 +3747,8 @@ const Scroll = (() => {
   // Scroll Listeners
   // Message Listener: We need to return immediately if the function will be performing asynchronous work
   chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) { if (!request || request.receiver !== "contentscript") { return; } messageListener(request, sender, sendResponse); if (request && request.async) { return true; } });
+  // Page Message Listener: Commands from the page's own scripts (only handled if the page is allowed to send them)
+  window.addEventListener("message", pageMessageListener);
 
   // Initialize Scroll
   // Note: Some websites have a "timing" issue in which Infy starts way too fast before the page has "loaded" See Database URL: https://book.yyts.org/welcome-to-typescript
@@ -2114,8 +3763,10 @@ const Scroll = (() => {
     getDocument,
     getElements,
     append,
+    scrollToPage,
+    keepElements,
+    triggerCustomEvent,
     debug
-    // ,getElements_
   };
 
 })();
\ No newline at end of file
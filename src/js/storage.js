@@ -7,262 +7,349 @@
 /**
  * Storage handles all storage-specific tasks, such as updating data between versions and backing up and restoring data.
  *
- * TODO: Finish implementing this to add a backup and restore feature
+ * The updates are an ordered pipeline of migrations, each keyed by the version that introduced it. A migration only
+ * ever modifies an items object in memory, which lets the same pipeline be applied to two different cases:
+ * 1. Updating the internal storage items (after the extension is updated)
+ * 2. Updating imported items (e.g. a Saved URLs JSON file that was exported in an older version)
+ *
+ * When updating the internal storage items, a snapshot of the items is taken before migrating. If any migration fails,
+ * the snapshot is written back to storage so that the user never ends up with half-migrated items. Each migration that
+ * ran is recorded in the "migrations" storage item so that it is never run twice.
  */
 const Storage = (() => {
 
-  function update(previousVersion) {
-    console.log("Storage update (no op) previousVersion=" + previousVersion);
+  /**
+   * Variables
+   *
+   * @param MIGRATIONS the ordered migrations, each with the version that introduced it and its migrate function
+   */
+  const MIGRATIONS = [
+    { version: "0.2",     migrate: _0_2 },
+    { version: "0.3",     migrate: _0_3 },
+    { version: "0.4",     migrate: _0_4 },
+    { version: "0.5",     migrate: _0_5 },
+    { version: "0.6",     migrate: _0_6 },
+    { version: "0.6.0.6", migrate: _0_6_0_6 },
+    { version: "0.6.6.0", migrate: _0_6_6_0 }
+  ];
+
+  /**
+   * Updates the internal storage items after the extension has been updated from a previous version.
+   *
+   * @param previousVersion the previous version the extension was updated from
+   * @returns {Promise<{}>} the result of the restore
+   * @public
+   */
+  async function update(previousVersion) {
+    console.log("update() - previousVersion=" + previousVersion);
+    return restore(previousVersion, "update");
   }
 
-  function backup() {
+  /**
+   * Backs up the current storage items by taking a snapshot (deep copy) of them.
+   *
+   * @returns {Promise<{}>} the snapshot of the storage items
+   * @public
+   */
+  async function backup() {
+    console.log("backup()");
+    return JSON.parse(JSON.stringify(await Promisify.storageGet()));
   }
 
-  // TODO: Handle two cases
-  // 1. Updating internal storage (items)
-  // 2. Updating imported storage (JSON text)
+  /**
+   * Restores items by running them through the migration pipeline, from the previous version to the current version.
+   *
+   * There are two methods:
+   * 1. update - Migrates the internal storage items. The items are backed up first and rolled back on failure
+   * 2. import - Migrates the imported items in memory only; the caller is responsible for merging them into storage
+   *
+   * @param previousVersion the version the items were created in
+   * @param method          the restore method ("update" or "import")
+   * @param items           (import only) the imported items to migrate
+   * @returns {Promise<{items: *, migrations: string[], error: *}>} the migrated items, the migrations that ran, and the error (if any)
+   * @public
+   */
   async function restore(previousVersion, method, items) {
-    // Cache storage items in case of error along the way
-    const currentItems = await Promisify.storageGet();
-    await _0_2();
-    await _0_3();
-    await _0_4();
-    await _0_5();
-    await _0_6();
-    await _0_6_0_6();
-    await _0_6_6_6();
+    console.log("restore() - previousVersion=" + previousVersion + ", method=" + method);
+    const result = { items: undefined, migrations: [], error: undefined };
+    const SDV = Background.getStorageDefaultValues();
+    if (method === "import") {
+      try {
+        if (!items || typeof items !== "object" || !previousVersion) {
+          throw new Error("the items are missing a version");
+        }
+        const migrated = migrate(previousVersion, JSON.parse(JSON.stringify(items)), SDV);
+        result.items = migrated.items;
+        result.migrations = migrated.migrations;
+      } catch (e) {
+        console.log("restore() - error migrating the imported items, error=" + e);
+        result.error = e.message;
+      }
+      return result;
+    }
+    // Cache (snapshot) the storage items in case of error along the way
+    const snapshot = await backup();
+    try {
+      const migrated = migrate(previousVersion, JSON.parse(JSON.stringify(snapshot)), SDV);
+      // Fill in any new storage items that were added without a migration (e.g. new options with default values), except the one-time only install items
+      for (const key of Object.keys(SDV).filter(key => !["installVersion", "installDate", "firstRun"].includes(key))) {
+        if (!Object.prototype.hasOwnProperty.call(migrated.items, key)) {
+          migrated.items[key] = SDV[key];
+        }
+      }
+      // Remove the items that the migrations deleted before writing the migrated items
+      const removed = Object.keys(snapshot).filter(key => !Object.prototype.hasOwnProperty.call(migrated.items, key));
+      if (removed.length > 0) {
+        await Promisify.storageRemove(removed);
+      }
+      await Promisify.storageSet(migrated.items);
+      result.items = migrated.items;
+      result.migrations = migrated.migrations;
+      // Force re-download the database if a migration needed it (e.g. the database is now stored in a different format)
+      if (migrated.downloadDatabase) {
+        await Background.downloadDatabase({useBackup: true});
+      }
+    } catch (e) {
+      console.log("restore() - error migrating the storage items, rolling back to the snapshot. error=" + e);
+      result.error = e.message;
+      await Promisify.storageClear();
+      await Promisify.storageSet(snapshot);
+    }
+    console.log("restore() - migrations=" + result.migrations + ", error=" + result.error);
+    return result;
   }
 
-  // 0.2 Update: Add new options, force re-download database (if applicable), re-sort saves by ID to remove previously bad id duplicate id generation
-  async function _0_2() {
-    if (details.previousVersion < "0.2") {
-      console.log("installedListener() - updating to 0.2 ...");
-      const items = await Promisify.storageGet();
-      const shouldDownloadDatabase = items && items.database && items.database.length > 0;
-      await Promisify.storageSet({
-        "interfaceMessages": true,
-        "whitelistEnabled": items && items.whitelist && items.whitelist.length > 0,
-        "database": [],
-        "databaseDate": null,
-        "databaseAutoUpdate": 1,
-        "databaseBlacklist": items && items.databaseExclusions ? items.databaseExclusions : [],
-        "databaseWhitelist": []
-      });
-      await Promisify.storageRemove("databaseExclusions");
-      let saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      // Ensure each save has a url and type (there was no validation on this in 0.1)
-      saves = saves.filter(save => save.url && save.type);
-      // Re-generate IDs in case there is now a gap after filtering, e.g. if deleting ID 3 in this array: [1, 2, 4, 5, ...]
-      saves.sort((a, b) => (a.order > b.order) ? 1 : (a.order === b.order) ? ((a.url && b.url && a.url.length < b.url.length) ? 1 : -1) : -1);
-      for (let i = 0; i < saves.length; i++) {
-        // Set new id and new properties: title and scrollElementInsertRule added in 0.2
-        if (saves[i]) {
-          saves[i].id = i + 1;
-          saves[i].title = "";
-          saves[i].scrollElementInsertRule = "";
-        }
+  /**
+   * Migrates the items from the previous version to the current version by running each migration that is newer than
+   * the previous version and hasn't been recorded as having already run. This function only modifies the items object
+   * in memory and does not read or write to storage, so it can be safely called on any items object.
+   *
+   * @param previousVersion the version the items were created in
+   * @param items           the items to migrate
+   * @param SDV             the storage default values
+   * @returns {{items: *, migrations: string[], downloadDatabase: boolean}} the migrated items, the migrations that ran, and whether the database needs to be re-downloaded
+   * @public
+   */
+  function migrate(previousVersion, items, SDV) {
+    console.log("migrate() - previousVersion=" + previousVersion);
+    const context = { downloadDatabase: false };
+    const ran = Array.isArray(items.migrations) ? items.migrations.map(m => m.version) : [];
+    const migrations = [];
+    for (const migration of MIGRATIONS.slice().sort((a, b) => compareVersions(a.version, b.version))) {
+      if (compareVersions(previousVersion, migration.version) < 0 && !ran.includes(migration.version)) {
+        console.log("migrate() - migrating to " + migration.version + " ...");
+        migration.migrate(items, SDV, context);
+        migrations.push(migration.version);
       }
-      // Resort back to default sort order
-      saves.sort((a, b) => (a.order > b.order) ? 1 : (a.order === b.order) ? ((a.url && b.url && a.url.length < b.url.length) ? 1 : -1) : -1);
-      await Promisify.storageSet({"saves": saves});
-      // Force re-download database if the user already had a prior database because 0.1's database is stored in a different format in 0.2+
-      if (shouldDownloadDatabase) {
-        await downloadDatabase({useBackup: true});
+    }
+    items.migrations = (Array.isArray(items.migrations) ? items.migrations : []).concat(migrations.map(version => ({ "version": version, "previousVersion": previousVersion, "date": new Date().toJSON() })));
+    return { items: items, migrations: migrations, downloadDatabase: context.downloadDatabase };
+  }
+
+  /**
+   * Compares two versions, part by part (e.g. "0.6.0.6" and "0.6.6.0"). Missing parts are treated as 0.
+   *
+   * @param a the first version
+   * @param b the second version
+   * @returns {number} a negative number if a is less than b, a positive number if a is greater than b, or 0 if they are equal
+   * @private
+   */
+  function compareVersions(a, b) {
+    const as = String(a).split(".").map(Number);
+    const bs = String(b).split(".").map(Number);
+    for (let i = 0; i < Math.max(as.length, bs.length); i++) {
+      const difference = (as[i] || 0) - (bs[i] || 0);
+      if (difference !== 0) {
+        return difference;
       }
     }
+    return 0;
+  }
+
+  /**
+   * Re-sorts the saves by their default sort order: by order (type e.g. regex), then by URL length.
+   *
+   * @param saves the saves to sort
+   * @private
+   */
+  function sortSaves(saves) {
+    saves.sort((a, b) => (a.order > b.order) ? 1 : (a.order === b.order) ? ((a.url && b.url && a.url.length < b.url.length) ? 1 : -1) : -1);
+  }
+
+  /**
+   * Gets the saves from the items, filtering out any saves that aren't objects.
+   *
+   * @param items the items
+   * @returns {{}[]} the saves
+   * @private
+   */
+  function getSaves(items) {
+    return Array.isArray(items.saves) ? items.saves.filter(save => save && typeof save === "object") : [];
+  }
+
+  /**
+   * Changes the Exact URLs in a list from (*url*) to ("url").
+   *
+   * @param list the list (e.g. whitelist)
+   * @returns {string[]} the new list
+   * @private
+   */
+  function exactURLs(list) {
+    return (Array.isArray(list) ? list : []).map(url => url && url.startsWith("*") && url.endsWith("*") ? "\"" + url.substring(1, url.length - 1) + "\"" : url);
+  }
+
+  // 0.2 Update: Add new options, force re-download database (if applicable), re-sort saves by ID to remove previously bad id duplicate id generation
+  function _0_2(items, SDV, context) {
+    // Force re-download database if the user already had a prior database because 0.1's database is stored in a different format in 0.2+
+    context.downloadDatabase = !!(items.database && items.database.length > 0);
+    items.interfaceMessages = true;
+    items.whitelistEnabled = !!(items.whitelist && items.whitelist.length > 0);
+    items.database = [];
+    items.databaseDate = null;
+    items.databaseAutoUpdate = 1;
+    items.databaseBlacklist = items.databaseExclusions ? items.databaseExclusions : items.databaseBlacklist || [];
+    items.databaseWhitelist = items.databaseWhitelist || [];
+    delete items.databaseExclusions;
+    // Ensure each save has a url and type (there was no validation on this in 0.1)
+    const saves = getSaves(items).filter(save => save.url && save.type);
+    // Re-generate IDs in case there is now a gap after filtering, e.g. if deleting ID 3 in this array: [1, 2, 4, 5, ...]
+    sortSaves(saves);
+    for (let i = 0; i < saves.length; i++) {
+      // Set new id and new properties: title and scrollElementInsertRule added in 0.2
+      saves[i].id = i + 1;
+      saves[i].title = saves[i].title || "";
+      saves[i].scrollElementInsertRule = saves[i].scrollElementInsertRule || "";
+    }
+    items.saves = saves;
   }
 
   // 0.3 Update: Reset scroll options to better default values to avoid too many requests, change percentage thresholds to pixels thresholds, add new scripts and styles options
-  async function _0_3() {
-    if (details.previousVersion < "0.3") {
-      console.log("installedListener() - updating to 0.3 ...");
-      const items = await Promisify.storageGet();
-      // Set new storage items and reset default values for some items
-      await Promisify.storageSet({
-        "customScriptsEnabled": SDV.customScriptsEnabled,
-        "scrollAppendThresholdPages": items && items.scrollDetection === "io" ? 1 : 0,
-        "scrollAppendThresholdPixels": SDV.scrollAppendThresholdPixels,
-        "scrollAppendDelay": SDV.scrollAppendDelay,
-        "scrollAppendScripts": SDV.scrollAppendScripts,
-        "scrollAppendStyles": SDV.scrollAppendStyles,
-        "buttonScrollPixels": SDV.buttonScrollPixels
-      });
-      // Remove unused storage items
-      await Promisify.storageRemove(["script", "scriptStart", "buttonScrollPercentage", "scrollAppendThresholdPercentage"]);
-      // Add new properties introduced in 0.3 and remove unused properties to each save object
-      const saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      for (const save of saves) {
-        save.scrollAppendScripts = SDV.scrollAppendScripts;
-        save.scrollAppendStyles = SDV.scrollAppendStyles;
-        save.buttonScrollPixels = SDV.buttonScrollPixels;
-        save.nextKeywordsEnabled = true;
-        save.prevKeywordsEnabled = true;
-        delete save.buttonScrollPercentage;
-      }
-      await Promisify.storageSet({"saves": saves});
+  function _0_3(items, SDV) {
+    // Set new storage items and reset default values for some items
+    items.customScriptsEnabled = SDV.customScriptsEnabled;
+    items.scrollAppendThresholdPages = items.scrollDetection === "io" ? 1 : 0;
+    items.scrollAppendThresholdPixels = SDV.scrollAppendThresholdPixels;
+    items.scrollAppendDelay = SDV.scrollAppendDelay;
+    items.scrollAppendScripts = SDV.scrollAppendScripts;
+    items.scrollAppendStyles = SDV.scrollAppendStyles;
+    items.buttonScrollPixels = SDV.buttonScrollPixels;
+    // Remove unused storage items
+    for (const key of ["script", "scriptStart", "buttonScrollPercentage", "scrollAppendThresholdPercentage"]) {
+      delete items[key];
+    }
+    // Add new properties introduced in 0.3 and remove unused properties to each save object
+    for (const save of getSaves(items)) {
+      save.scrollAppendScripts = SDV.scrollAppendScripts;
+      save.scrollAppendStyles = SDV.scrollAppendStyles;
+      save.buttonScrollPixels = SDV.buttonScrollPixels;
+      save.nextKeywordsEnabled = true;
+      save.prevKeywordsEnabled = true;
+      delete save.buttonScrollPercentage;
     }
   }
 
   // 0.4 Update: Scroll Append Threshold pixels/pages changes. Also changed Append Element selector rule to target the children of the parent element, not the parent (this affects append element selector saves)
-  async function _0_4() {
-    if (details.previousVersion < "0.4") {
-      console.log("installedListener() - updating to 0.4 ...");
-      const items = await Promisify.storageGet();
-      // Reset default values for scroll append threshold due to internal algorithm change and new minimum values being 0, not -1
-      // Reset scrollElementInsertRule due to selector rule change, add new autoBehavior and on storage items
-      await Promisify.storageSet({
-        "scrollAppendThresholdPages": SDV.scrollAppendThresholdPages,
-        "scrollAppendThresholdPixels": SDV.scrollAppendThresholdPixels,
-        "scrollElementRule": SDV.scrollElementRule,
-        "autoBehavior": SDV.autoBehavior,
-        "on": SDV.on
-      });
-      // Remove the scrollbar detection option; this option is pretty much irrelevant in scroll listener mode as scroll pixels will always append pages until a scrollbar exists anyway
-      await Promisify.storageRemove("scrollbarDetect");
-      // Fix saves that use Append Element mode with selector rule type to point to the child elements (not the parent element)
-      const saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      for (const save of saves) {
-        if (save && save.scrollAppend === "element" && save.scrollElementType === "selector" && save.scrollElementRule && save.scrollElementRule.length > 0) {
-          save.scrollElementRule += " > *";
-        }
+  function _0_4(items, SDV) {
+    // Reset default values for scroll append threshold due to internal algorithm change and new minimum values being 0, not -1
+    // Reset scrollElementInsertRule due to selector rule change, add new autoBehavior and on storage items
+    items.scrollAppendThresholdPages = SDV.scrollAppendThresholdPages;
+    items.scrollAppendThresholdPixels = SDV.scrollAppendThresholdPixels;
+    items.scrollElementRule = SDV.scrollElementRule;
+    items.autoBehavior = SDV.autoBehavior;
+    items.on = SDV.on;
+    // Remove the scrollbar detection option; this option is pretty much irrelevant in scroll listener mode as scroll pixels will always append pages until a scrollbar exists anyway
+    delete items.scrollbarDetect;
+    // Fix saves that use Append Element mode with selector rule type to point to the child elements (not the parent element)
+    for (const save of getSaves(items)) {
+      if (save.scrollAppend === "element" && save.scrollElementType === "selector" && save.scrollElementRule && save.scrollElementRule.length > 0) {
+        save.scrollElementRule += " > *";
       }
-      await Promisify.storageSet({"saves": saves});
     }
   }
 
   // 0.5 Update: Reset scrollAction due to Action consolidation. Three new options: scroll divider alignment, scroll icon, scroll wrap first page
-  async function _0_5() {
-    if (details.previousVersion < "0.5") {
-      console.log("installedListener() - updating to 0.5 ...");
-      const items = await Promisify.storageGet();
-      // Reset scrollAction and add new storage items for two options
-      await Promisify.storageSet({
-        "scrollAction": SDV.scrollAction,
-        "scrollWrapFirstPage": SDV.scrollWrapFirstPage,
-        "scrollDividerAlign": SDV.scrollDividerAlign,
-        "scrollIcon": SDV.scrollIcon
-      });
-      // Change saves that use Decrement action to Increment with a negative interval due to action consolidation
-      const saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      for (const save of saves) {
-        if (save) {
-          save.scrollWrapFirstPage = false;
-          if (save.scrollAction === "decrement") {
-            save.scrollAction = "increment";
-            save.interval = -save.interval;
-          }
-        }
+  function _0_5(items, SDV) {
+    // Reset scrollAction and add new storage items for two options
+    items.scrollAction = SDV.scrollAction;
+    items.scrollWrapFirstPage = SDV.scrollWrapFirstPage;
+    items.scrollDividerAlign = SDV.scrollDividerAlign;
+    items.scrollIcon = SDV.scrollIcon;
+    // Change saves that use Decrement action to Increment with a negative interval due to action consolidation
+    for (const save of getSaves(items)) {
+      save.scrollWrapFirstPage = false;
+      if (save.scrollAction === "decrement") {
+        save.scrollAction = "increment";
+        save.interval = -save.interval;
       }
-      await Promisify.storageSet({"saves": saves});
     }
   }
 
   // 0.6 Update: Store browser name, increase button size to 50, scrollWrapFirstPage default change, new options added for iframe height wait, element iframe hybrid, and lazy load script
-  async function _0_6() {
-    if (details.previousVersion < "0.6") {
-      console.log("installedListener() - updating to 0.6 ...");
-      const items = await Promisify.storageGet();
-      // Storage Items changes - Increase button size if still using default 40px size, make scroll wrap first page false (see certain websites with iframe mode for why)
-      await Promisify.storageSet({
-        "browserName": getBrowserName(),
-        "buttonSize": items && items.buttonSize && items.buttonSize !== 40 ? items.buttonSize : SDV.buttonSize,
-        "interfaceTheme": SDV.interfaceTheme,
-        "dynamicSettings": false,
-        "nextProperty": items.nextAttribute ? items.nextAttribute : SDV.nextProperty,
-        "prevProperty": items.prevAttribute ? items.prevAttribute : SDV.prevProperty,
-        "scrollWrapFirstPage": SDV.scrollWrapFirstPage,
-        "scrollHeightWait": SDV.scrollHeightWait,
-        "scrollElementIframe": SDV.scrollElementIframe,
-        "scrollLazyLoad": SDV.scrollLazyLoad,
-        "scrollLazyLoadMode": SDV.scrollLazyLoadMode,
-        "scrollLazyLoadAttributeSource": SDV.scrollLazyLoadAttributeSource,
-        "scrollLazyLoadAttributeDestination": SDV.scrollLazyLoadAttributeDestination
-      });
-      // Remove the outdated "Attribute" names as they are now named "Property"
-      await Promisify.storageRemove(["nextAttribute", "prevAttribute"]);
-      // Add new options and delete unused options to save object
-      const saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      for (const save of saves) {
-        if (save) {
-          save.version = "0.6";
-          save.nextProperty = save.nextAttribute;
-          save.prevProperty = save.prevAttribute;
-          save.scrollHeightWait = 0;
-          save.scrollElementIframe = SDV.scrollElementIframe;
-          save.scrollLazyLoad = SDV.scrollLazyLoad;
-          save.scrollLazyLoadMode = SDV.scrollLazyLoadMode
-          save.scrollLazyLoadAttributeSource = SDV.scrollLazyLoadAttributeSource;
-          save.scrollLazyLoadAttributeDestination = SDV.scrollLazyLoadAttributeDestination;
-          delete save.nextAttribute;
-          delete save.prevAttribute;
-        }
-      }
-      await Promisify.storageSet({"saves": saves});
-      // Whitelist Exact URLs Change (*url*) to ("url")
-      let whitelist = items && items.whitelist && items.whitelist.length > 0 ? items.whitelist : [];
-      whitelist = whitelist.map(url => {
-        return url && url.startsWith("*") && url.endsWith("*") ? "\"" + url.substring(1, url.length - 1) + "\"" : url
-      });
-      await Promisify.storageSet({"whitelist": whitelist});
-      // Database Blacklist Exact URLs Change (*url*) to ("url")
-      let databaseBlacklist = items && items.databaseBlacklist && items.databaseBlacklist.length > 0 ? items.databaseBlacklist : [];
-      databaseBlacklist = databaseBlacklist.map(url => {
-        return url && url.startsWith("*") && url.endsWith("*") ? "\"" + url.substring(1, url.length - 1) + "\"" : url
-      });
-      await Promisify.storageSet({"databaseBlacklist": databaseBlacklist});
-      // Database Whitelist Exact URLs Change (*url*) to ("url")
-      let databaseWhitelist = items && items.databaseWhitelist && items.databaseWhitelist.length > 0 ? items.databaseWhitelist : [];
-      databaseWhitelist = databaseWhitelist.map(url => {
-        return url && url.startsWith("*") && url.endsWith("*") ? "\"" + url.substring(1, url.length - 1) + "\"" : url
-      });
-      await Promisify.storageSet({"databaseWhitelist": databaseWhitelist});
+  function _0_6(items, SDV) {
+    // Storage Items changes - Increase button size if still using default 40px size, make scroll wrap first page false (see certain websites with iframe mode for why)
+    items.browserName = SDV.browserName;
+    items.buttonSize = items.buttonSize && items.buttonSize !== 40 ? items.buttonSize : SDV.buttonSize;
+    items.interfaceTheme = SDV.interfaceTheme;
+    items.dynamicSettings = false;
+    items.nextProperty = items.nextAttribute ? items.nextAttribute : SDV.nextProperty;
+    items.prevProperty = items.prevAttribute ? items.prevAttribute : SDV.prevProperty;
+    items.scrollWrapFirstPage = SDV.scrollWrapFirstPage;
+    items.scrollHeightWait = SDV.scrollHeightWait;
+    items.scrollElementIframe = SDV.scrollElementIframe;
+    items.scrollLazyLoad = SDV.scrollLazyLoad;
+    items.scrollLazyLoadMode = SDV.scrollLazyLoadMode;
+    items.scrollLazyLoadAttributeSource = SDV.scrollLazyLoadAttributeSource;
+    items.scrollLazyLoadAttributeDestination = SDV.scrollLazyLoadAttributeDestination;
+    // Remove the outdated "Attribute" names as they are now named "Property"
+    delete items.nextAttribute;
+    delete items.prevAttribute;
+    // Add new options and delete unused options to save object
+    for (const save of getSaves(items)) {
+      save.version = "0.6";
+      save.nextProperty = save.nextAttribute;
+      save.prevProperty = save.prevAttribute;
+      save.scrollHeightWait = 0;
+      save.scrollElementIframe = SDV.scrollElementIframe;
+      save.scrollLazyLoad = SDV.scrollLazyLoad;
+      save.scrollLazyLoadMode = SDV.scrollLazyLoadMode;
+      save.scrollLazyLoadAttributeSource = SDV.scrollLazyLoadAttributeSource;
+      save.scrollLazyLoadAttributeDestination = SDV.scrollLazyLoadAttributeDestination;
+      delete save.nextAttribute;
+      delete save.prevAttribute;
     }
+    // Whitelist, Database Blacklist, and Database Whitelist Exact URLs Change (*url*) to ("url")
+    items.whitelist = exactURLs(items.whitelist);
+    items.databaseBlacklist = exactURLs(items.databaseBlacklist);
+    items.databaseWhitelist = exactURLs(items.databaseWhitelist);
   }
 
   // 0.6.0.6 Update: Make Fix Lazy Load default to true
-  async function _0_6_0_6() {
-    if (details.previousVersion < "0.6.0.6") {
-      console.log("installedListener() - updating to 0.6.0.6 ...");
-      // Storage Items changes - scrollLazyLoad is now true by default
-      await Promisify.storageSet({
-        "scrollLazyLoad": SDV.scrollLazyLoad
-      });
-      // No changes to the saves
-    }
+  function _0_6_0_6(items, SDV) {
+    // Storage Items changes - scrollLazyLoad is now true by default
+    items.scrollLazyLoad = SDV.scrollLazyLoad;
+    // No changes to the saves
   }
 
   // 0.6.6.0 Update: Step 1 of Removing Infy from UI, Links New Tab extra option, Append Custom Styles, CustomEvents
-  async function _0_6_6_6() {
-    if (details.previousVersion < "0.6.6.0") {
-      console.log("installedListener() - updating to 0.6.6.0 ...");
-      const items = await Promisify.storageGet();
-      // Storage Items changes - new append custom styles
-      await Promisify.storageSet({
-        "linksNewTabEnabled": true,
-        "customEventsEnabled": false,
-        "scrollAppendCustomStyles": SDV.scrollAppendCustomStyles,
-        "scrollAppendCustomStylesValue": SDV.scrollAppendCustomStylesValue
-      });
-      // Saves: new append custom styles
-      const saves = items && items.saves && items.saves.length > 0 ? items.saves : [];
-      for (const save of saves) {
-        if (save) {
-          save.scrollAppendCustomStyles = SDV.scrollAppendCustomStyles;
-          save.scrollAppendCustomStylesValue = SDV.scrollAppendCustomStylesValue;
-        }
-      }
-      await Promisify.storageSet({"saves": saves});
+  function _0_6_6_0(items, SDV) {
+    // Storage Items changes - new append custom styles
+    items.linksNewTabEnabled = true;
+    items.customEventsEnabled = false;
+    items.scrollAppendCustomStyles = SDV.scrollAppendCustomStyles;
+    items.scrollAppendCustomStylesValue = SDV.scrollAppendCustomStylesValue;
+    // Saves: new append custom styles
+    for (const save of getSaves(items)) {
+      save.scrollAppendCustomStyles = SDV.scrollAppendCustomStyles;
+      save.scrollAppendCustomStylesValue = SDV.scrollAppendCustomStylesValue;
     }
   }
 
-  // Message Listener: We need to return immediately if the function will be performing asynchronous work
-  // chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) { if (!request || request.receiver !== "background") { return; } messageListener(request, sender, sendResponse); if (request && request.async) { return true; } });
-
   // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
   return {
     backup,
     restore,
-    update
+    update,
+    migrate
   };
 
-})();
\ No newline at end of file
+})();
@@ -229,6 +229,24 @@ const Util = (() => {
     return string.replace(/[.*+^$?|\\{}()[\]]/g, "\\$&");
   }
 
+  /**
+   * Hashes a string into a short hexadecimal string using the 32-bit FNV-1a algorithm. This is not a cryptographic
+   * hash; it's only meant to quickly compare two strings (e.g. two pages' contents) without storing them.
+   *
+   * @param string the string to hash
+   * @returns {string} the hash as a hexadecimal string
+   * @see https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function
+   * @public
+   */
+  function hash(string) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < string.length; i++) {
+      h ^= string.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
   // Return public members from the Immediately Invoked Function Expression (IIFE, or "Iffy") Revealing Module Pattern (RMP)
   return {
     throttle,
@@ -239,7 +257,8 @@ const Util = (() => {
     findExtension,
     fixURL,
     wildcardToRegularExpression,
-    escapeRegularExpression
+    escapeRegularExpression,
+    hash
   };
 
 })();
@@ -0,0 +1,198 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Loads the extension (the src folder) into Chrome and checks that each action and append mode appends the fixture
+ * server's pages. Each case saves a URL for its fixture, opens the fixture's first page, and scrolls to the bottom until
+ * the instance has the max pages (3), and then counts the dividers and items that were appended.
+ *
+ * These tests need a Chrome or Chromium that can still load Manifest V2 extensions, set in the CHROME_PATH environment
+ * variable (e.g. CHROME_PATH=/usr/bin/chromium npm run test:e2e). Without it, the tests are skipped.
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const server = require("./server.js");
+
+/**
+ * Variables
+ *
+ * @param CHROME_PATH the path to the Chrome or Chromium executable, or undefined to skip the tests
+ * @param EXTENSION   the path to the extension (the src folder)
+ * @param MAX_PAGES   the save's max pages, so each case ends after appending 2 pages to the first page
+ * @param TIMEOUT     the milliseconds to wait for a case to reach the max pages
+ * @param ITEM        the selector of the fixtures' items
+ * @param DIVIDER     the selector of the page dividers
+ */
+const CHROME_PATH = process.env.CHROME_PATH;
+const EXTENSION = path.join(__dirname, "..", "..", "src");
+const MAX_PAGES = 3;
+const TIMEOUT = 30000;
+const ITEM = ".item";
+const DIVIDER = "[id^=\"infy-scroll-divider-\"]";
+
+/**
+ * The cases. Each case has the save's action and append mode, the fixture's first page (without the server's origin),
+ * and any other save properties the fixture needs. The list action's URLs are added when the case runs, as they need
+ * the server's origin.
+ */
+const CASES = [
+  ["next", "page", "/next/1", {}],
+  ["next", "iframe", "/next/1", {}],
+  ["next", "element", "/next/1", { "scrollElementRule": "#content > .item" }],
+  ["prev", "page", "/prev/5", {}],
+  ["prev", "iframe", "/prev/5", {}],
+  ["prev", "element", "/prev/5", { "scrollElementRule": "#content > .item" }],
+  ["increment", "page", "/next/1", {}],
+  ["increment", "iframe", "/next/1", {}],
+  ["increment", "element", "/next/1", { "scrollElementRule": "#content > .item" }],
+  ["increment", "media", "/media/1.png", {}],
+  ["list", "page", "/next/1", {}],
+  ["list", "iframe", "/next/1", {}],
+  ["list", "element", "/next/1", { "scrollElementRule": "#content > .item" }],
+  ["list", "media", "/media/1.png", {}],
+  ["button", "none", "/more", {}],
+  ["next", "page", "/keywords/1", { "nextSelector": "#none", "nextXpath": "//*[@id=\"none\"]", "nextKeywordsEnabled": true }],
+  ["next", "element", "/keywords/1", { "nextSelector": "#none", "nextXpath": "//*[@id=\"none\"]", "nextKeywordsEnabled": true, "scrollElementRule": "#content > .item" }],
+  ["next", "page", "/table/1", {}],
+  ["next", "element", "/table/1", { "scrollElementRule": "#content > tbody > tr" }],
+  ["list", "element", "/list/1", { "scrollElementRule": "#content > li" }],
+  ["next", "page", "/lazy/1", {}],
+  ["next", "element", "/lazy/1", { "scrollElementRule": "#content > .item" }],
+  ["next", "page", "/sjis/1", { "nextSelector": "#none", "nextXpath": "//*[@id=\"none\"]", "nextKeywordsEnabled": true }],
+  ["next", "element", "/sjis/1", { "nextSelector": "#none", "nextXpath": "//*[@id=\"none\"]", "nextKeywordsEnabled": true, "scrollElementRule": "#content > .item" }]
+];
+
+describe("Extension", { skip: !CHROME_PATH && "set CHROME_PATH to a Chrome or Chromium that can load Manifest V2 extensions" }, () => {
+  let browser;
+  let background;
+  let fixtures;
+
+  before(async () => {
+    const puppeteer = require("puppeteer-core");
+    fixtures = await server.start();
+    browser = await puppeteer.launch({
+      executablePath: CHROME_PATH,
+      headless: true,
+      args: ["--disable-extensions-except=" + EXTENSION, "--load-extension=" + EXTENSION, "--no-first-run", "--no-default-browser-check"]
+    });
+    const target = await browser.waitForTarget(target => target.type() === "background_page");
+    background = await target.page();
+    // Wait for the extension to finish installing (the storage items are only set after the install's migrations)
+    await background.waitForFunction(() => new Promise(resolve => chrome.storage.local.get("installVersion", items => resolve(!!items.installVersion))), { polling: 250, timeout: TIMEOUT });
+  });
+
+  after(async () => {
+    if (browser) {
+      await browser.close();
+    }
+    if (fixtures) {
+      await new Promise(resolve => fixtures.server.close(resolve));
+    }
+  });
+
+  for (const [action, append, fixture, properties] of CASES) {
+    it(action + " " + append + " " + fixture, async () => {
+      const url = fixtures.url + fixture;
+      await save(url, action, append, properties);
+      const page = await browser.newPage();
+      try {
+        await page.goto(url, { waitUntil: "load" });
+        const instance = await waitForMaxPages(page);
+        assert.equal(instance.totalPages, MAX_PAGES);
+        const result = await page.evaluate(count, ITEM, DIVIDER);
+        assert.equal(result.dividers, append === "none" ? 0 : MAX_PAGES - 1);
+        if (append === "media") {
+          assert.equal(result.media, MAX_PAGES);
+        } else {
+          assert.equal(result.items, MAX_PAGES * server.ITEMS);
+        }
+        if (fixture.startsWith("/lazy/")) {
+          // The appended pages' lazy images have their data-src set as their src
+          assert.ok(result.lazys.slice(server.ITEMS).every(src => src.includes("/media/")), result.lazys.join(", "));
+        }
+        if (fixture.startsWith("/sjis/")) {
+          // The appended pages are decoded using their Shift_JIS charset, not UTF-8
+          assert.ok(result.texts.every(text => text.startsWith("日本語のページ")), result.texts.join(", "));
+        }
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  /**
+   * Saves the case's URL in the storage, replacing any other saves. The save has all the storage default values (like
+   * a save made in the Popup) and the case's action, append mode, and properties.
+   *
+   * @param url        the URL of the fixture's first page
+   * @param action     the save's action
+   * @param append     the save's append mode
+   * @param properties the save's other properties
+   */
+  async function save(url, action, append, properties) {
+    const list = action === "list" ? [2, 3, 4, 5].map(number => url.replace(/1(\.png)?$/, number + "$1")) : [];
+    await background.evaluate((url, action, append, properties, list, maxPages) => {
+      const save = Object.assign({}, Background.getStorageDefaultValues(), {
+        "id": 1, "title": "", "url": url, "type": "pattern", "order": 2, "date": new Date().toJSON(),
+        "scrollAction": action, "scrollAppend": append, "scrollMaxPages": maxPages,
+        "list": list.join("\n"), "listArray": list, "selectionCustom": { "url": "", "regex": "", "flags": "", "group": 0, "index": 0 }
+      }, properties);
+      for (const key of ["saves", "database", "databaseSources", "whitelist", "databaseBlacklist", "databaseWhitelist", "microformatBlacklist", "nextKeywords", "prevKeywords"]) {
+        delete save[key];
+      }
+      return new Promise(resolve => chrome.storage.local.set({ "saves": [save], "scrollDivider": "yes", "scrollAppendDelay": 100, "scrollRetries": 0, "interfaceMessages": false }, resolve));
+    }, url, action, append, properties, list, MAX_PAGES);
+  }
+
+  /**
+   * Scrolls the page to the bottom until its instance has the max pages.
+   *
+   * @param page the page
+   * @returns {Promise<*>} the instance
+   */
+  async function waitForMaxPages(page) {
+    const end = Date.now() + TIMEOUT;
+    let instance;
+    while (Date.now() < end) {
+      await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight)).catch(() => {});
+      instance = await background.evaluate(origin => new Promise(resolve => {
+        chrome.tabs.query({}, tabs => {
+          const tab = tabs.find(tab => tab.url && tab.url.startsWith(origin));
+          if (!tab) {
+            resolve(undefined);
+            return;
+          }
+          chrome.tabs.sendMessage(tab.id, { "receiver": "contentscript", "greeting": "getInstance" }, response => resolve(chrome.runtime.lastError ? undefined : response));
+        });
+      }), fixtures.url);
+      if (instance && instance.totalPages >= MAX_PAGES && !instance.isLoading) {
+        return instance;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    assert.fail("the instance didn't reach " + MAX_PAGES + " pages: " + JSON.stringify(instance && { "enabled": instance.enabled, "totalPages": instance.totalPages }));
+  }
+});
+
+/**
+ * Counts the dividers, items, and media in the page (this runs in the page). The items in the iframes are counted too.
+ *
+ * @param item    the selector of the items
+ * @param divider the selector of the dividers
+ * @returns {{dividers: number, items: number, media: number, lazys: string[], texts: string[]}} the counts
+ */
+function count(item, divider) {
+  const documents = [document].concat([...document.querySelectorAll("iframe")].map(iframe => iframe.contentDocument).filter(d => d));
+  const items = documents.flatMap(d => [...d.querySelectorAll(item)]);
+  return {
+    "dividers": document.querySelectorAll(divider).length,
+    "items": items.length,
+    "media": document.querySelectorAll("img[src*=\"/media/\"]").length,
+    "lazys": items.filter(i => i.tagName === "IMG").map(i => i.getAttribute("src")),
+    "texts": items.map(i => i.textContent)
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Server serves the paginated fixture pages that the end-to-end runner loads the extension against. Every fixture has
+ * PAGES pages with ITEMS items each (elements with the "item" class) so the runner can count what was appended:
+ *
+ * 1. /next/n      - Pages linked with rel="next" (and rel="prev")
+ * 2. /prev/n      - The same pages, for the prev action (starting from the last page)
+ * 3. /keywords/n  - Pages linked only by a "Next »" link (no rel attribute), for the keywords algorithm
+ * 4. /table/n     - Pages whose items are table rows
+ * 5. /list/n      - Pages whose items are list items
+ * 6. /lazy/n      - Pages whose items are lazy images (a placeholder src and the real image in data-src)
+ * 7. /sjis/n      - Pages encoded in Shift_JIS (not UTF-8) that are linked only by a "次へ" (next) link
+ * 8. /more        - A page with a "Load More" button that adds the next page's items itself (for the button action)
+ * 9. /media/n.png - Images (for the media append mode)
+ *
+ * Any page number after the last page is a 404. Run this file directly to browse the fixtures: node test/e2e/server.js
+ */
+const http = require("http");
+
+/**
+ * Variables
+ *
+ * @param PAGES     the number of pages in each fixture
+ * @param ITEMS     the number of items in each page
+ * @param IMAGE     the image that every media URL responds with (a 1x1 PNG)
+ * @param SHIFT_JIS the Shift_JIS bytes of the only non-ASCII text in the Shift_JIS pages (Node can't encode Shift_JIS)
+ */
+const PAGES = 5;
+const ITEMS = 3;
+const IMAGE = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==", "base64");
+const SHIFT_JIS = new Map([["日本語のページ", "93fa967b8cea82cc8379815b8357"], ["次へ", "8e9f82d6"]]);
+
+/**
+ * Starts the server.
+ *
+ * @param port (optional) the port to listen on, or 0 (the default) for any free port
+ * @returns {Promise<{server: http.Server, url: string}>} the server and its url (e.g. http://127.0.0.1:8080)
+ * @public
+ */
+function start(port = 0) {
+  const server = http.createServer(handle);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve({ server: server, url: "http://127.0.0.1:" + server.address().port }));
+  });
+}
+
+/**
+ * Handles a request by responding with the fixture page or image, or a 404.
+ *
+ * @param request  the request
+ * @param response the response
+ * @private
+ */
+function handle(request, response) {
+  const path = new URL(request.url, "http://127.0.0.1").pathname;
+  const match = /^\/(next|prev|keywords|table|list|lazy|sjis)\/(\d+)$/.exec(path) || /^\/(media)\/(\d+)\.png$/.exec(path) || /^\/(more)$/.exec(path);
+  const fixture = match ? match[1] : "";
+  const number = match && match[2] ? Number(match[2]) : 1;
+  if (!match || number < 1 || number > PAGES) {
+    response.writeHead(404, { "Content-Type": "text/plain" });
+    response.end("Not Found");
+  } else if (fixture === "media") {
+    response.writeHead(200, { "Content-Type": "image/png" });
+    response.end(IMAGE);
+  } else if (fixture === "sjis") {
+    response.writeHead(200, { "Content-Type": "text/html; charset=Shift_JIS" });
+    response.end(shiftJIS(page(fixture, number)));
+  } else {
+    response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(page(fixture, number));
+  }
+}
+
+/**
+ * Creates a fixture page's HTML.
+ *
+ * @param fixture the fixture's name (e.g. "next")
+ * @param number  the page's number
+ * @returns {string} the page's HTML
+ * @private
+ */
+function page(fixture, number) {
+  const url = n => "/" + fixture + "/" + n;
+  const next = number < PAGES ? number + 1 : 0;
+  const prev = number > 1 ? number - 1 : 0;
+  const items = [...Array(ITEMS).keys()].map(i => ({ "id": number + "-" + (i + 1), "text": "Item " + number + "-" + (i + 1) }));
+  let head = "";
+  let content = "";
+  let links = "";
+  switch (fixture) {
+    case "next":
+    case "prev":
+      head = (next ? "<link rel=\"next\" href=\"" + url(next) + "\">" : "") + (prev ? "<link rel=\"prev\" href=\"" + url(prev) + "\">" : "");
+      content = "<div id=\"content\">" + items.map(item => "<p class=\"item\" data-page=\"" + number + "\">" + item.text + "</p>").join("") + "</div>";
+      links = (prev ? "<a rel=\"prev\" href=\"" + url(prev) + "\">" + prev + "</a> " : "") + (next ? "<a rel=\"next\" href=\"" + url(next) + "\">" + next + "</a>" : "");
+      break;
+    case "keywords":
+      content = "<div id=\"content\">" + items.map(item => "<p class=\"item\" data-page=\"" + number + "\">" + item.text + "</p>").join("") + "</div>";
+      links = next ? "<a href=\"" + url(next) + "\">Next »</a>" : "";
+      break;
+    case "table":
+      head = next ? "<link rel=\"next\" href=\"" + url(next) + "\">" : "";
+      content = "<table id=\"content\"><thead><tr><th>Item</th><th>Page</th></tr></thead><tbody>" + items.map(item => "<tr class=\"item\" data-page=\"" + number + "\"><td>" + item.text + "</td><td>" + number + "</td></tr>").join("") + "</tbody></table>";
+      break;
+    case "list":
+      head = next ? "<link rel=\"next\" href=\"" + url(next) + "\">" : "";
+      content = "<ul id=\"content\">" + items.map(item => "<li class=\"item\" data-page=\"" + number + "\">" + item.text + "</li>").join("") + "</ul>";
+      break;
+    case "lazy":
+      head = next ? "<link rel=\"next\" href=\"" + url(next) + "\">" : "";
+      content = "<div id=\"content\">" + items.map(item => "<img class=\"item\" data-page=\"" + number + "\" width=\"200\" height=\"150\" alt=\"" + item.text + "\" src=\"data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7\" data-src=\"/media/" + number + ".png\">").join("") + "</div>";
+      break;
+    case "sjis":
+      head = "<meta charset=\"Shift_JIS\">";
+      content = "<div id=\"content\">" + items.map(item => "<p class=\"item\" data-page=\"" + number + "\">日本語のページ " + item.id + "</p>").join("") + "</div>";
+      links = next ? "<a href=\"" + url(next) + "\">次へ</a>" : "";
+      break;
+    case "more":
+      // The website adds the next page's items itself when the button is clicked, and removes the button after the last page
+      content = "<div id=\"content\">" + items.map(item => "<p class=\"item\" data-page=\"1\">" + item.text + "</p>").join("") + "</div>" +
+        "<button id=\"load-more-button\" type=\"button\">Load More</button>" +
+        "<script>let page = 1; document.getElementById(\"load-more-button\").addEventListener(\"click\", function() { page++; for (let i = 1; i <= " + ITEMS + "; i++) { const item = document.createElement(\"p\"); item.className = \"item\"; item.dataset.page = page; item.textContent = \"Item \" + page + \"-\" + i; document.getElementById(\"content\").appendChild(item); } if (page >= " + PAGES + ") { this.remove(); } });</script>";
+      break;
+    default:
+      break;
+  }
+  return "<!DOCTYPE html><html lang=\"en\"><head>" + (fixture === "sjis" ? "" : "<meta charset=\"utf-8\">") + head + "<title>" + fixture + " " + number + "</title></head>" +
+    "<body><h1>" + fixture + " " + number + "</h1>" + content + "<nav>" + links + "</nav></body></html>";
+}
+
+/**
+ * Encodes a Shift_JIS page's HTML. Everything except the Japanese text is ASCII, which is the same in Shift_JIS.
+ *
+ * @param html the page's HTML
+ * @returns {Buffer} the Shift_JIS encoded page
+ * @private
+ */
+function shiftJIS(html) {
+  return Buffer.concat(html.split(new RegExp("(" + [...SHIFT_JIS.keys()].join("|") + ")")).map(part => SHIFT_JIS.has(part) ? Buffer.from(SHIFT_JIS.get(part), "hex") : Buffer.from(part, "ascii")));
+}
+
+if (require.main === module) {
+  start(Number(process.env.PORT) || 8080).then(result => console.log("Serving the fixtures at " + result.url + " (e.g. " + result.url + "/next/1)"));
+}
+
+module.exports = {
+  PAGES,
+  ITEMS,
+  start
+};
@@ -0,0 +1,161 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+/**
+ * Harness loads the extension's scripts into a jsdom window with a fake chrome.* API so that their modules can be
+ * tested in Node. The scripts are evaluated as-is (the same way the browser runs them as classic scripts), so each
+ * module's IIFE const (e.g. const Util = (() => { ... })();) is shared between the scripts of the same window.
+ *
+ * The fake chrome.* API only implements what the tested modules need:
+ * 1. storage - An in-memory local (and sync) storage area, so Promisify.storageGet/storageSet work as they do in the browser
+ * 2. i18n    - Returns the English messages from _locales/en/messages.json
+ * 3. runtime - Returns the manifest, and accepts messages and listeners without doing anything with them
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+/**
+ * Variables
+ *
+ * @param SRC      the path to the extension's src folder
+ * @param MESSAGES the English i18n messages
+ * @param MANIFEST the extension's manifest
+ */
+const SRC = path.join(__dirname, "..", "src");
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(SRC, "_locales", "en", "messages.json"), "utf8"));
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(SRC, "manifest.json"), "utf8"));
+
+/**
+ * Loads the scripts into a new window and returns the window along with the modules the scripts declared.
+ *
+ * @param scripts the names of the scripts in src/js to load, in the order the extension loads them (e.g. ["promisify", "util"])
+ * @param options (optional) the window's url and html, and the initial storage items
+ * @returns {{window: *, items: {}, modules: {}}} the window, the storage items (live), and the modules mapped by name
+ * @public
+ */
+function load(scripts, options = {}) {
+  const dom = new JSDOM(options.html || "<!DOCTYPE html><html><head></head><body></body></html>", {
+    url: options.url || "https://www.example.com/",
+    runScripts: "outside-only",
+    // The modules log almost every call, so their console output is discarded
+    virtualConsole: new VirtualConsole()
+  });
+  const window = dom.window;
+  const items = options.items ? window.JSON.parse(JSON.stringify(options.items)) : {};
+  window.chrome = createChrome(window, items);
+  // jsdom doesn't do layout, so it doesn't implement innerText. The text content is close enough for the fixtures
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", { get() { return this.textContent; }, configurable: true });
+  // The scripts are run as scripts (not eval'd) in the window's context so their top-level consts are shared
+  const context = dom.getInternalVMContext();
+  const modules = {};
+  for (const script of scripts) {
+    const file = path.join(SRC, "js", script + ".js");
+    const code = fs.readFileSync(file, "utf8");
+    vm.runInContext(code, context, { filename: file });
+    for (const match of code.matchAll(/^const (\w+) = \(\(\) => \{/gm)) {
+      modules[match[1]] = vm.runInContext(match[1], context);
+    }
+  }
+  return { window: window, items: items, modules: modules };
+}
+
+/**
+ * Reads a fixture file from the test/fixtures folder.
+ *
+ * @param name the fixture's file name, relative to the fixtures folder (e.g. "next-prev/rel-next.html")
+ * @returns {string} the fixture's contents
+ * @public
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+/**
+ * Converts an object that was created inside a window into a plain Node object. Objects created inside the window have
+ * the window's prototypes, which the strict deep equality assertions would otherwise treat as different.
+ *
+ * @param object the object to convert
+ * @returns {*} the plain object
+ * @public
+ */
+function plain(object) {
+  return object === undefined ? undefined : JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * Creates the fake chrome.* API.
+ *
+ * @param window the window the API is for (the storage items are cloned with its JSON so they have its prototypes)
+ * @param items  the storage items object to read from and write to
+ * @returns {{}} the fake chrome object
+ * @private
+ */
+function createChrome(window, items) {
+  const clone = value => value === undefined ? undefined : window.JSON.parse(window.JSON.stringify(value));
+  const area = {
+    get(keys, callback) {
+      const result = {};
+      const defaults = keys && typeof keys === "object" && !Array.isArray(keys) ? keys : {};
+      const names = keys === null || keys === undefined ? Object.keys(items) : typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      for (const name of names) {
+        const value = Object.prototype.hasOwnProperty.call(items, name) ? items[name] : defaults[name];
+        if (value !== undefined) {
+          result[name] = clone(value);
+        }
+      }
+      setTimeout(() => callback(result));
+    },
+    set(values, callback) {
+      Object.assign(items, clone(values));
+      setTimeout(() => callback && callback());
+    },
+    remove(keys, callback) {
+      for (const name of [].concat(keys)) {
+        delete items[name];
+      }
+      setTimeout(() => callback && callback());
+    },
+    clear(callback) {
+      for (const name of Object.keys(items)) {
+        delete items[name];
+      }
+      setTimeout(() => callback && callback());
+    }
+  };
+  const event = () => ({ addListener() {}, removeListener() {}, hasListener() { return false; } });
+  return {
+    storage: { local: area, sync: area, onChanged: event() },
+    i18n: {
+      getMessage: name => MESSAGES[name] ? MESSAGES[name].message : "",
+      getUILanguage: () => "en"
+    },
+    runtime: {
+      id: "",
+      lastError: undefined,
+      getManifest: () => clone(MANIFEST),
+      getURL: file => "chrome-extension://infy-scroll/" + file,
+      sendMessage(message, callback) { setTimeout(() => callback && callback()); },
+      openOptionsPage() {},
+      onInstalled: event(),
+      onStartup: event(),
+      onMessage: event()
+    },
+    tabs: {
+      query(query, callback) { setTimeout(() => callback([])); },
+      sendMessage(id, message, callback) { setTimeout(() => callback && callback()); }
+    },
+    browserAction: { setBadgeText() {}, setBadgeBackgroundColor() {}, setIcon() {} },
+    commands: { onCommand: event() }
+  };
+}
+
+module.exports = {
+  load,
+  fixture,
+  plain
+};
@@ -0,0 +1,59 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, plain } = require("../harness.js");
+
+const SCRIPTS = ["promisify", "storage", "database", "scripts", "background"];
+const RECORD = { "url": "^https?://www\\.example\\.com/", "nextLink": "//a[@rel=\"next\"]", "pageElement": "//main" };
+const GENERIC = { "url": "^https?://", "nextLink": "//a[@class=\"next\"]", "pageElement": "//article" };
+
+/**
+ * Creates the storage items with the default database source and a local database source.
+ *
+ * @param autopagerize the default source's records
+ * @param local        the local source's records
+ * @returns {{}} the storage items
+ */
+function createItems(autopagerize, local) {
+  const { Background } = load(SCRIPTS).modules;
+  const sources = plain(Background.getStorageDefaultValues().databaseSources);
+  sources[0].records = autopagerize;
+  sources[0].date = autopagerize.length > 0 ? new Date().toJSON() : null;
+  sources.push({ "id": "local", "name": "Local", "type": "local", "url": "", "enabled": true, "priority": 2, "date": new Date().toJSON(), "count": local.length, "error": "", "records": local });
+  return { "databaseSources": sources, "databaseDate": new Date().toJSON(), "databaseAutoUpdate": 0 };
+}
+
+describe("Database", () => {
+
+  describe("match", () => {
+    it("merges the enabled sources in memory by priority and matches the merged database", async () => {
+      const local = Object.assign({}, RECORD, { "pageElement": "//div" });
+      const { modules, items } = load(SCRIPTS, { items: createItems([RECORD], [local, GENERIC]) });
+      // The higher priority source's record is used for the same URL, and the longest URLs are matched first
+      assert.deepEqual(plain(await modules.Database.match("https://www.example.com/page/1")), [RECORD, GENERIC]);
+      // Only the sources' records are stored, not the merged database
+      assert.equal(items.database, undefined);
+    });
+
+    it("seeds the default source from the old database storage item", async () => {
+      const { modules } = load(SCRIPTS, { items: Object.assign(createItems([], []), { "database": [RECORD] }) });
+      assert.deepEqual(plain(await modules.Database.match("https://www.example.com/page/1")), [RECORD]);
+    });
+  });
+
+  describe("downloadDatabase", () => {
+    it("saves only the sources and removes the old database storage item", async () => {
+      const { modules, items } = load(SCRIPTS, { items: Object.assign(createItems([], [GENERIC]), { "database": [RECORD] }) });
+      // Only download a source that doesn't exist, so the sources are just saved
+      const result = plain(await modules.Background.downloadDatabase({ "sourceId": "none" }));
+      assert.equal(result.downloaded, true);
+      assert.ok(!Object.prototype.hasOwnProperty.call(items, "database"));
+      assert.deepEqual(plain(items.databaseSources).map(source => source.records), [[RECORD], [GENERIC]]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fixture, plain } = require("../harness.js");
+
+const { IncrementDecrement, IncrementDecrementDate, IncrementDecrementRoman, IncrementDecrementArray } = load(["util", "increment-decrement"]).modules;
+const URLS = JSON.parse(fixture("urls.json"));
+
+/**
+ * Creates an instance for a fixture URL with the same defaults as the storage default values.
+ *
+ * @param url the fixture URL
+ * @returns {{}} the instance
+ */
+function createInstance(url) {
+  return {
+    "url": url.url, "selection": url.selection, "selectionStart": url.url.lastIndexOf(url.selection), "interval": url.interval || 1,
+    "base": url.base, "baseCase": url.baseCase || "lowercase", "baseDateFormat": url.baseDateFormat || "yyyy/mm/dd",
+    "baseRoman": url.baseRoman || "latin", "baseCustom": url.baseCustom || "", "leadingZeros": !!url.leadingZeros
+  };
+}
+
+describe("IncrementDecrement", () => {
+
+  describe("incrementDecrement", () => {
+    for (const url of URLS) {
+      it("increments " + url.name, () => {
+        const instance = createInstance(url);
+        IncrementDecrement.incrementDecrement("increment", instance);
+        assert.equal(instance.url, url.increment);
+        assert.equal(instance.selection, url.increment.substring(instance.selectionStart, instance.selectionStart + instance.selection.length));
+      });
+      it("decrements " + url.name, () => {
+        const instance = createInstance(url);
+        IncrementDecrement.incrementDecrement("decrement", instance);
+        assert.equal(instance.url, url.decrement);
+      });
+    }
+
+    it("increments multiple parts simultaneously and adjusts the parts after a part that got longer", () => {
+      const instance = { "url": "https://www.example.com/9/page/5", "multiEnabled": true, "multiCount": 2, "multi": {
+        1: { "selection": "9", "selectionStart": 24, "interval": 1, "base": 10, "leadingZeros": false },
+        2: { "selection": "5", "selectionStart": 31, "interval": 1, "base": 10, "leadingZeros": false }
+      }};
+      IncrementDecrement.incrementDecrement("increment", instance);
+      assert.equal(instance.url, "https://www.example.com/10/page/6");
+      assert.equal(instance.multi[2].selectionStart, 32);
+    });
+  });
+
+  describe("findSelection", () => {
+    it("finds the page= parameter first when smart", () => {
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/2/list?page=3&id=4", "smart")), { "selection": "3", "selectionStart": 36 });
+    });
+
+    it("finds the last p, id, or next parameter when smart", () => {
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/2/list?p=3&id=4", "smart")), { "selection": "4", "selectionStart": 38 });
+    });
+
+    it("finds the last number when smart and there are no parameters", () => {
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/2/list/3", "smart")), { "selection": "3", "selectionStart": 31 });
+    });
+
+    it("finds the first number", () => {
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/2/list/3", "firstnumber")), { "selection": "2", "selectionStart": 24 });
+    });
+
+    it("finds a custom regular expression's match, starting at its index", () => {
+      const custom = { "regex": "chapter-\\d+", "flags": "", "group": 0, "index": 8 };
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/1/chapter-12", "custom", custom)), { "selection": "12", "selectionStart": 34 });
+    });
+
+    it("returns an empty selection if there is no number", () => {
+      assert.deepEqual(plain(IncrementDecrement.findSelection("https://www.example.com/", "smart")), { "selection": "", "selectionStart": -1 });
+    });
+  });
+
+  describe("validateSelection", () => {
+    for (const url of URLS) {
+      it("accepts " + url.name, () => {
+        const instance = createInstance(url);
+        assert.equal(IncrementDecrement.validateSelection(instance.selection, instance.base, instance.baseCase, instance.baseDateFormat, instance.baseRoman, instance.baseCustom, instance.leadingZeros), "");
+      });
+    }
+
+    it("rejects a selection that isn't in the base", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("1g", 16, "lowercase"), "");
+    });
+
+    it("rejects an invalid base", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("1", 37, "lowercase"), "");
+    });
+
+    it("rejects a selection that is too large", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("9007199254740993", 10, "lowercase"), "");
+    });
+
+    it("rejects a date that doesn't match its format", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("2021-13-45", "date", "lowercase", "yyyy-mm-dd"), "");
+    });
+
+    it("rejects a roman numeral that isn't in its shortest form", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("IIII", "roman", "lowercase", "", "latin"), "");
+    });
+
+    it("rejects a decimal without a decimal point", () => {
+      assert.notEqual(IncrementDecrement.validateSelection("15", "decimal"), "");
+    });
+  });
+});
+
+describe("IncrementDecrementDate", () => {
+  it("increments by the lowest part of the format", () => {
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "2020/12", 1, "yyyy/mm"), "2021/01");
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "2020", 1, "yyyy"), "2021");
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "23:59:59", 1, "hh:ii:ss"), "00:00:00");
+  });
+
+  it("increments and decrements by the interval", () => {
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "2021-01-25", 7, "yyyy-mm-dd"), "2021-02-01");
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("decrement", "2021-02-01", 7, "yyyy-mm-dd"), "2021-01-25");
+  });
+
+  it("handles formats without delimiters", () => {
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "20211231", 1, "yyyymmdd"), "20220101");
+  });
+
+  it("handles two digit years and month names", () => {
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("increment", "december-99", 1, "mmmm-yy"), "january-00");
+    assert.equal(IncrementDecrementDate.incrementDecrementDate("decrement", "JAN-2021", 1, "MMM-yyyy"), "DEC-2020");
+  });
+});
+
+describe("IncrementDecrementRoman", () => {
+  it("increments across the subtractive forms", () => {
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "III", 1, "latin"), "IV");
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "XXXIX", 1, "latin"), "XL");
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "CDXCIX", 1, "latin"), "D");
+  });
+
+  it("keeps the selection's case", () => {
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "viii", 1, "latin"), "ix");
+  });
+
+  it("increments and decrements by the interval", () => {
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "X", 5, "latin"), "XV");
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("decrement", "XV", 10, "latin"), "V");
+  });
+
+  it("uses extra Ms after 3999", () => {
+    assert.equal(IncrementDecrementRoman.incrementDecrementRoman("increment", "MMMCMXCIX", 1, "latin"), "MMMM");
+  });
+});
+
+describe("IncrementDecrementArray", () => {
+  it("builds the urls in both directions and starts at the original url", () => {
+    const instance = Object.assign(createInstance(URLS[0]), { "shuffleURLs": true, "shuffleLimit": 3 });
+    const precalculated = IncrementDecrementArray.precalculateURLs(instance);
+    const urls = plain(precalculated.urls).map(url => url.urlmod);
+    // The decrement urls stop at 0 and both directions are shuffled, so only their members can be compared
+    assert.equal(precalculated.currentIndex, 3);
+    assert.equal(urls[3], URLS[0].url);
+    assert.deepEqual(urls.slice(0, 3).sort(), ["https://www.example.com/page/6", "https://www.example.com/page/7", "https://www.example.com/page/8"]);
+    assert.deepEqual(urls.slice(4).sort(), ["https://www.example.com/page/10", "https://www.example.com/page/11", "https://www.example.com/page/12"]);
+    // The instance's url and selection are restored after building the urls
+    assert.equal(instance.url, URLS[0].url);
+    assert.equal(instance.selection, URLS[0].selection);
+  });
+
+  it("builds the urls in one direction when scrolling", () => {
+    const instance = Object.assign(createInstance(URLS[0]), { "shuffleURLs": true, "shuffleLimit": 2, "scrollEnabled": true, "scrollAction": "increment" });
+    const precalculated = IncrementDecrementArray.precalculateURLs(instance);
+    assert.equal(precalculated.currentIndex, 0);
+    assert.deepEqual(plain(precalculated.urls).map(url => url.urlmod).sort(), ["https://www.example.com/page/10", "https://www.example.com/page/11"]);
+  });
+
+  it("uses the list as the urls", () => {
+    const instance = { "url": "https://www.example.com/", "listEnabled": true, "listArray": ["https://www.example.com/a", "https://www.example.com/b"] };
+    assert.deepEqual(plain(IncrementDecrementArray.precalculateURLs(instance).urls), [{ "urlmod": "https://www.example.com/a", "selectionmod": "" }, { "urlmod": "https://www.example.com/b", "selectionmod": "" }]);
+  });
+
+  it("steps through the urls and stays on the last url", () => {
+    const instance = { "scrollEnabled": true, "urlsCurrentIndex": 0, "urls": [{ "urlmod": "https://www.example.com/a", "selectionmod": "a" }, { "urlmod": "https://www.example.com/b", "selectionmod": "b" }] };
+    IncrementDecrementArray.stepThruURLs("increment", instance);
+    assert.equal(instance.url, "https://www.example.com/a");
+    IncrementDecrementArray.stepThruURLs("increment", instance);
+    assert.equal(instance.url, "https://www.example.com/b");
+    IncrementDecrementArray.stepThruURLs("increment", instance);
+    assert.equal(instance.url, "https://www.example.com/b");
+    assert.equal(instance.selection, "b");
+  });
+
+  it("shuffles the array in place without losing any elements", () => {
+    const array = [1, 2, 3, 4, 5, 6, 7, 8];
+    assert.equal(IncrementDecrementArray.shuffle(array), array);
+    assert.deepEqual(array.slice().sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+});
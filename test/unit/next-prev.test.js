@@ -0,0 +1,101 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fixture, plain } = require("../harness.js");
+
+const SDV = plain(load(["background"]).modules.Background.getStorageDefaultValues());
+
+/**
+ * Finds the next or prev URL in a fixture page, using the storage default values' rules and keywords.
+ *
+ * @param name   the fixture's name in the next-prev folder (without the .html)
+ * @param action the action ("next" or "prev")
+ * @param type   (optional) the rule type ("selector" or "xpath"), or the action's default type
+ * @returns {*} the result (the url and how it was found, or the details with the error)
+ */
+function findNextPrevURL(name, action, type) {
+  const { NextPrev } = load(["util", "next-prev"], { url: "https://www.example.com/page/1", html: fixture("next-prev/" + name + ".html") }).modules;
+  return plain(NextPrev.findNextPrevURL(type || SDV[action + "Type"], SDV[action + "Selector"], SDV[action + "Xpath"], SDV[action + "Property"], true, SDV[action + "Keywords"], false, false));
+}
+
+describe("NextPrev", () => {
+
+  describe("findNextPrevURL", () => {
+    it("finds the next link using the selector rule before the keywords", () => {
+      const result = findNextPrevURL("rel-next", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.method, "selector");
+    });
+
+    it("finds the next link using the xpath rule", () => {
+      const result = findNextPrevURL("rel-next", "next", "xpath");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.method, "xpath");
+    });
+
+    it("finds the prev link using the selector rule", () => {
+      assert.equal(findNextPrevURL("rel-next", "prev").url, "https://www.example.com/page/0");
+    });
+
+    it("prefers an attribute that equals a keyword over text that equals a keyword", () => {
+      assert.deepEqual(findNextPrevURL("keywords-attribute", "next"), { "url": "https://www.example.com/page/2", "method": "keyword", "relationship": "self", "type": "attribute", "subtype": "equals", "keyword": "next", "element": "a", "attribute": "class" });
+    });
+
+    it("finds text that equals a keyword in another language", () => {
+      const result = findNextPrevURL("keywords-text", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.type, "innerText");
+      assert.equal(result.keyword, "次へ");
+    });
+
+    it("finds a keyword in the link's parent", () => {
+      const result = findNextPrevURL("keywords-parent", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.relationship, "parent");
+      assert.equal(result.attribute, "class");
+    });
+
+    it("finds a keyword in the link's children", () => {
+      const result = findNextPrevURL("keywords-child", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.relationship, "child");
+      assert.equal(result.attribute, "alt");
+      assert.equal(result.keyword, "olderposts");
+    });
+
+    it("finds a form's action", () => {
+      const result = findNextPrevURL("keywords-form", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.element, "form");
+    });
+
+    it("ignores links to other hostnames, the current URL, stylesheets, and scripts", () => {
+      const result = findNextPrevURL("keywords-invalid", "next");
+      assert.equal(result.url, "https://www.example.com/page/2");
+      assert.equal(result.subtype, "includes");
+    });
+
+    it("finds the prev link using the prev keywords", () => {
+      const result = findNextPrevURL("keywords-prev", "prev");
+      assert.equal(result.url, "https://www.example.com/page/0");
+      assert.equal(result.subtype, "startsWith");
+      assert.equal(result.keyword, "«prev");
+    });
+
+    it("returns no URL if there is no next link", () => {
+      assert.equal(findNextPrevURL("no-links", "next").url, undefined);
+    });
+
+    it("returns the error if the rule is invalid", () => {
+      const { NextPrev } = load(["util", "next-prev"], { url: "https://www.example.com/page/1", html: fixture("next-prev/rel-next.html") }).modules;
+      const result = plain(NextPrev.findNextPrevURL("selector", "[rel=", "", ["href"], false, [], false, false));
+      assert.equal(result.url, undefined);
+      assert.ok(result.error);
+    });
+  });
+});
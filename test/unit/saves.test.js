@@ -0,0 +1,131 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, plain } = require("../harness.js");
+
+const SCRIPTS = ["promisify", "util", "saves", "increment-decrement", "scripts"];
+const { Saves } = load(SCRIPTS).modules;
+
+describe("Saves", () => {
+
+  describe("matchesSave", () => {
+    it("matches an exact URL", () => {
+      const save = { "type": "exact", "url": "https://www.example.com/page/2", "scrollAction": "next" };
+      assert.equal(Saves.matchesSave("https://www.example.com/page/2", save).matches, true);
+      assert.equal(Saves.matchesSave("https://www.example.com/page/2/", save).matches, false);
+    });
+
+    it("matches an exact increment URL with any valid selection and returns the selection", () => {
+      const save = { "type": "exact", "url": "https://www.example.com/page/.html", "selectionStart": 29, "selectionEnd": 5, "scrollAction": "increment", "base": 10 };
+      const result = Saves.matchesSave("https://www.example.com/page/12.html", save);
+      assert.equal(result.matches, true);
+      assert.deepEqual(plain(result.selection), { "selection": "12", "selectionStart": 29 });
+      assert.equal(Saves.matchesSave("https://www.example.com/page/xy.html", save).matches, false);
+      assert.equal(Saves.matchesSave("https://www.example.com/other/12.html", save).matches, false);
+    });
+
+    it("matches an exact increment URL using the save's base", () => {
+      const save = { "type": "exact", "url": "https://www.example.com/chapter/", "selectionStart": 32, "selectionEnd": 0, "scrollAction": "decrement", "base": "roman", "baseRoman": "latin" };
+      assert.equal(Saves.matchesSave("https://www.example.com/chapter/XIV", save).matches, true);
+      assert.equal(Saves.matchesSave("https://www.example.com/chapter/XIIII", save).matches, false);
+    });
+
+    it("matches a pattern as a substring", () => {
+      const save = { "type": "pattern", "url": "example.com/forum/" };
+      assert.equal(Saves.matchesSave("https://www.example.com/forum/thread/1", save).matches, true);
+      assert.equal(Saves.matchesSave("https://www.example.com/blog/1", save).matches, false);
+    });
+
+    it("matches a pattern as a wildcard", () => {
+      const save = { "type": "pattern", "url": "https://*.example.com/*/comments" };
+      assert.equal(Saves.matchesSave("https://blog.example.com/post-1/comments", save).matches, true);
+      assert.equal(Saves.matchesSave("https://blog.example.com/post-1/comments/2", save).matches, false);
+    });
+
+    it("matches a regular expression", () => {
+      const save = { "type": "regex", "url": "^https://www\\.example\\.com/(?:search|results)\\?" };
+      assert.equal(Saves.matchesSave("https://www.example.com/results?q=infy", save).matches, true);
+      assert.equal(Saves.matchesSave("https://www.example.com/about?q=infy", save).matches, false);
+    });
+
+    it("doesn't match an invalid regular expression, an unknown type, or a missing URL", () => {
+      assert.equal(Saves.matchesSave("https://www.example.com/", { "type": "regex", "url": "(" }).matches, false);
+      assert.equal(Saves.matchesSave("https://www.example.com/", { "type": "unknown", "url": "example" }).matches, false);
+      assert.equal(Saves.matchesSave("https://www.example.com/", { "type": "pattern", "url": "" }).matches, false);
+      assert.equal(Saves.matchesSave("", { "type": "pattern", "url": "example" }).matches, false);
+    });
+  });
+
+  describe("matchesList", () => {
+    const list = ["\"https://www.example.com/exact\"", "/^https://regex\\.example\\.com//", "(^https?://.)", "pattern.example.com", "/(/"];
+
+    it("matches an exact item", () => {
+      assert.deepEqual(plain(Saves.matchesList("https://www.example.com/exact", "", list, "Whitelist")), { "matches": true, "url": list[0], "type": "exact" });
+      assert.equal(Saves.matchesList("https://www.example.com/exact/2", "", list, "Whitelist").matches, false);
+    });
+
+    it("matches a regular expression item", () => {
+      assert.deepEqual(plain(Saves.matchesList("https://regex.example.com/1", "", list, "Whitelist")), { "matches": true, "url": list[1], "type": "regex" });
+    });
+
+    it("matches an alternative exact item against the alternative URL only", () => {
+      assert.deepEqual(plain(Saves.matchesList("https://www.example.org/", "^https?://.", list, "Database Blacklist")), { "matches": true, "url": list[2], "type": "alt" });
+      assert.equal(Saves.matchesList("^https?://.", "https://www.example.org/", list, "Database Blacklist").matches, false);
+    });
+
+    it("matches a pattern item", () => {
+      assert.deepEqual(plain(Saves.matchesList("https://pattern.example.com/1", "", list, "Whitelist")), { "matches": true, "url": list[3], "type": "pattern" });
+    });
+
+    it("skips invalid items and returns no match if nothing matches", () => {
+      assert.deepEqual(plain(Saves.matchesList("https://www.example.org/", "", list, "Whitelist")), { "matches": false, "url": "", "type": "" });
+    });
+  });
+
+  describe("validateSave", () => {
+    const save = { "url": "https://www.example.com/", "type": "pattern", "scrollAction": "next", "scrollAppend": "page", "order": 3, "date": "not a date", "unknown": true };
+
+    it("removes unknown properties and derives the order and date", () => {
+      const validated = plain(Saves.validateSave(save));
+      assert.equal(validated.unknown, undefined);
+      assert.equal(validated.order, 2);
+      assert.ok(!isNaN(new Date(validated.date)));
+    });
+
+    it("rejects saves without a valid URL, type, action, or append", () => {
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "url": " " })), undefined);
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "type": "glob" })), undefined);
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "scrollAction": "jump" })), undefined);
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "scrollAppend": "replace" })), undefined);
+      assert.equal(Saves.validateSave([save]), undefined);
+    });
+
+    it("rejects saves with custom scripts rules that set an event handler attribute", () => {
+      assert.ok(Saves.validateSave(Object.assign({}, save, { "customScriptsRules": [{ "action": "copy", "selector": "img", "from": "data-src", "to": "src" }] })));
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "customScriptsRules": [{ "action": "copy", "selector": "img", "from": "data-src", "to": "onerror" }] })), undefined);
+      assert.equal(Saves.validateSave(Object.assign({}, save, { "customScriptsRules": "[]" })), undefined);
+    });
+  });
+
+  describe("importSaves", () => {
+    it("merges the imported saves by URL using the mode", async () => {
+      const existing = Object.assign(plain(Saves.validateSave({ "url": "https://www.example.com/", "type": "pattern", "scrollAction": "next", "scrollAppend": "page" })), { "id": 1 });
+      const imports = [
+        { "url": "https://www.example.com/", "type": "pattern", "scrollAction": "next", "scrollAppend": "iframe" },
+        { "url": "https://www.example.org/", "type": "exact", "scrollAction": "next", "scrollAppend": "page" },
+        { "url": "https://www.example.net/" }
+      ];
+      for (const [mode, expected, append] of [["skip", { "added": 1, "overwritten": 0, "skipped": 1, "invalid": 1 }, "page"], ["overwrite", { "added": 1, "overwritten": 1, "skipped": 0, "invalid": 1 }, "iframe"]]) {
+        const { modules, items } = load(SCRIPTS, { items: { "saves": [existing] } });
+        assert.deepEqual(plain(await modules.Saves.importSaves(imports, mode)), expected);
+        // The exact save is sorted first and gets the next ID, and the existing save keeps its ID
+        assert.deepEqual(plain(items.saves).map(save => [save.id, save.url, save.scrollAppend]), [[2, "https://www.example.org/", "page"], [1, "https://www.example.com/", append]]);
+      }
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, plain } = require("../harness.js");
+
+const SCRIPTS = ["promisify", "storage", "database", "scripts", "background"];
+
+/**
+ * Creates the storage items of an older version, with a save and the options that the later migrations change.
+ *
+ * @returns {{}} the storage items
+ */
+function createItems() {
+  return {
+    "installVersion": "0.5", "buttonSize": 40, "nextAttribute": ["href"], "prevAttribute": ["href"],
+    "whitelist": ["*https://www.example.com/*"], "databaseBlacklist": [], "databaseWhitelist": [],
+    "saves": [{ "id": 1, "type": "pattern", "url": "example.com", "order": 2, "scrollAction": "next", "scrollAppend": "page", "nextAttribute": ["href"] }]
+  };
+}
+
+describe("Storage", () => {
+
+  describe("migrate", () => {
+    const { Storage, Background } = load(SCRIPTS).modules;
+    const SDV = Background.getStorageDefaultValues();
+
+    it("compares the versions part by part, not as strings", () => {
+      assert.deepEqual(plain(Storage.migrate("0.6.0.6", {}, SDV).migrations), ["0.6.6.0"]);
+      assert.deepEqual(plain(Storage.migrate("0.6.1", {}, SDV).migrations), ["0.6.6.0"]);
+      assert.deepEqual(plain(Storage.migrate("0.6", {}, SDV).migrations), ["0.6.0.6", "0.6.6.0"]);
+      // "0.10" would be less than "0.6" if the versions were compared as strings
+      assert.deepEqual(plain(Storage.migrate("0.10", {}, SDV).migrations), []);
+      assert.deepEqual(plain(Storage.migrate("0.6.6.0", {}, SDV).migrations), []);
+    });
+
+    it("runs the migrations in order", () => {
+      assert.deepEqual(plain(Storage.migrate("0.1", { "database": [] }, SDV).migrations), ["0.2", "0.3", "0.4", "0.5", "0.6", "0.6.0.6", "0.6.6.0"]);
+    });
+
+    it("records the migrations that ran and doesn't run them again", () => {
+      const items = Storage.migrate("0.6", {}, SDV).items;
+      assert.deepEqual(plain(items.migrations).map(migration => [migration.version, migration.previousVersion]), [["0.6.0.6", "0.6"], ["0.6.6.0", "0.6"]]);
+      assert.ok(items.migrations.every(migration => !isNaN(new Date(migration.date))));
+      // Even if the previous version is older (e.g. the items were imported again), the recorded migrations are skipped
+      const again = Storage.migrate("0.6", items, SDV);
+      assert.deepEqual(plain(again.migrations), []);
+      assert.equal(again.items.migrations.length, 2);
+    });
+
+    it("migrates the saves and options", () => {
+      const items = plain(Storage.migrate("0.5", createItems(), SDV).items);
+      assert.equal(items.buttonSize, 50);
+      assert.deepEqual(items.nextProperty, ["href"]);
+      assert.equal(items.nextAttribute, undefined);
+      assert.deepEqual(items.whitelist, ["\"https://www.example.com/\""]);
+      assert.deepEqual(items.saves[0].nextProperty, ["href"]);
+      assert.equal(items.saves[0].nextAttribute, undefined);
+      assert.equal(items.saves[0].scrollAppendCustomStyles, SDV.scrollAppendCustomStyles);
+    });
+  });
+
+  describe("restore", () => {
+    it("updates the storage items, removing the deleted items and adding the new items", async () => {
+      const { modules, items } = load(SCRIPTS, { items: createItems() });
+      const result = await modules.Storage.update("0.5");
+      assert.equal(result.error, undefined);
+      assert.deepEqual(plain(result.migrations), ["0.6", "0.6.0.6", "0.6.6.0"]);
+      assert.equal(items.nextAttribute, undefined);
+      assert.ok(!Object.prototype.hasOwnProperty.call(items, "nextAttribute"));
+      assert.deepEqual(plain(items.nextProperty), ["href"]);
+      assert.deepEqual(plain(items.migrations).map(migration => migration.version), ["0.6", "0.6.0.6", "0.6.6.0"]);
+      // New storage items without a migration are added with their default values, but the install items are kept
+      assert.ok(Array.isArray(items.databaseSources));
+      assert.equal(items.installVersion, "0.5");
+      assert.equal(items.firstRun, undefined);
+    });
+
+    it("rolls back to the snapshot if a migration throws", async () => {
+      // 0.6 converts the whitelist's exact URLs and throws on a URL that isn't a string
+      const { modules, items } = load(SCRIPTS, { items: Object.assign(createItems(), { "whitelist": [5] }) });
+      const snapshot = plain(items);
+      const result = await modules.Storage.update("0.5");
+      assert.ok(result.error);
+      assert.deepEqual(plain(result.migrations), []);
+      assert.deepEqual(plain(items), snapshot);
+    });
+
+    it("migrates imported items in memory without writing them to storage", async () => {
+      const { modules, items } = load(SCRIPTS, { items: { "saves": [] } });
+      const imported = createItems();
+      const result = await modules.Storage.restore("0.5", "import", imported);
+      assert.equal(result.error, undefined);
+      assert.deepEqual(plain(result.migrations), ["0.6", "0.6.0.6", "0.6.6.0"]);
+      assert.deepEqual(plain(result.items.saves[0].nextProperty), ["href"]);
+      // Neither the imported items nor the storage items are changed
+      assert.deepEqual(imported, createItems());
+      assert.deepEqual(plain(items), { "saves": [] });
+    });
+
+    it("rejects imported items without a version", async () => {
+      const { modules } = load(SCRIPTS);
+      const result = await modules.Storage.restore(undefined, "import", createItems());
+      assert.ok(result.error);
+      assert.equal(result.items, undefined);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Infy Scroll
+ * @copyright © 2020 Six
+ * @license https://github.com/sixcious/infy-scroll/blob/main/LICENSE
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("../harness.js");
+
+const { Util } = load(["util"], { url: "https://www.example.com/page/1" }).modules;
+
+describe("Util", () => {
+
+  describe("throttle", () => {
+    it("runs the first call right away and the last call after the wait", async () => {
+      let count = 0;
+      const throttled = Util.throttle(() => count++, 50);
+      throttled();
+      throttled();
+      throttled();
+      assert.equal(count, 1);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(count, 2);
+    });
+  });
+
+  describe("isValidURL", () => {
+    it("accepts any parsable URL by default", () => {
+      assert.equal(Util.isValidURL("https://www.example.org/"), true);
+      assert.equal(Util.isValidURL("/relative"), false);
+    });
+
+    it("stores the error in the details", () => {
+      const details = {};
+      Util.isValidURL("not a url", "default", details);
+      assert.ok(details.error);
+    });
+
+    it("only accepts next-prev URLs on the same hostname that aren't the current URL", () => {
+      assert.equal(Util.isValidURL("https://www.example.com/page/2", "next-prev"), true);
+      assert.equal(Util.isValidURL("https://www.example.com/page/1", "next-prev"), false);
+      assert.equal(Util.isValidURL("https://www.example.org/page/2", "next-prev"), false);
+    });
+  });
+
+  describe("isValidExtension", () => {
+    it("ignores stylesheets and scripts for next-prev", () => {
+      assert.equal(Util.isValidExtension("https://www.example.com/page/2", "next-prev"), true);
+      assert.equal(Util.isValidExtension("https://www.example.com/next.css", "next-prev"), false);
+      assert.equal(Util.isValidExtension("https://www.example.com/next.js?v=2", "next-prev"), false);
+    });
+
+    it("only accepts image extensions for images", () => {
+      assert.equal(Util.isValidExtension("https://www.example.com/a.JPG", "image"), true);
+      assert.equal(Util.isValidExtension("https://www.example.com/a.webp#top", "image"), true);
+      assert.equal(Util.isValidExtension("https://www.example.com/a.svg", "image"), false);
+    });
+
+    it("only accepts short alphanumeric extensions for downloads", () => {
+      assert.equal(Util.isValidExtension("https://www.example.com/a.zip", "download"), true);
+      assert.equal(Util.isValidExtension("https://www.example.com/a.toolongext", "download"), false);
+      assert.ok(!Util.isValidExtension("https://www.example.com/a", "download"));
+    });
+  });
+
+  describe("findFilenameAndExtension", () => {
+    it("finds the filename and extension without the query or fragment", () => {
+      const filenameAndExtension = Util.findFilenameAndExtension("https://www.example.com/images/photo.large.png?size=2#top");
+      assert.equal(filenameAndExtension, "photo.large.png");
+      assert.equal(Util.findFilename(filenameAndExtension), "photo");
+      assert.equal(Util.findExtension(filenameAndExtension), "png");
+    });
+
+    it("returns empty strings if there is no filename or extension", () => {
+      assert.equal(Util.findFilenameAndExtension("https://www.example.com/"), "");
+      assert.equal(Util.findFilename(""), "");
+      assert.equal(Util.findExtension("photo"), "");
+    });
+  });
+
+  describe("fixURL", () => {
+    it("fixes the protocol to match the location", () => {
+      assert.equal(Util.fixURL("http://www.example.com/page/2"), "https://www.example.com/page/2");
+    });
+
+    it("fixes the www to match the location", () => {
+      assert.equal(Util.fixURL("https://example.com/page/2"), "https://www.example.com/page/2");
+    });
+
+    it("doesn't change URLs on other hostnames", () => {
+      assert.equal(Util.fixURL("https://example.org/page/2"), "https://example.org/page/2");
+    });
+  });
+
+  describe("wildcardToRegularExpression", () => {
+    it("matches the wildcards and escapes everything else", () => {
+      const regex = Util.wildcardToRegularExpression("https://*.example.com/page/*?q=1");
+      assert.equal(regex.test("https://www.example.com/page/2?q=1"), true);
+      assert.equal(regex.test("https://www.example.com/page/2Xq=1"), false);
+    });
+  });
+
+  describe("escapeRegularExpression", () => {
+    it("escapes the reserved characters", () => {
+      assert.equal(Util.escapeRegularExpression("a.b*c+d?e|f(g)[h]{i}$j\\k"), "a\\.b\\*c\\+d\\?e\\|f\\(g\\)\\[h\\]\\{i\\}\\$j\\\\k");
+    });
+  });
+
+  describe("hash", () => {
+    it("hashes with 32-bit FNV-1a", () => {
+      assert.equal(Util.hash(""), "811c9dc5");
+      assert.equal(Util.hash("a"), "e40c292c");
+      assert.equal(Util.hash("foobar"), "bf9cf968");
+    });
+
+    it("hashes different strings differently", () => {
+      assert.notEqual(Util.hash("<p>page 1</p>"), Util.hash("<p>page 2</p>"));
+    });
+  });
+});